@@ -0,0 +1,380 @@
+// Chat backend adapters
+// Every adapter maps its provider's reply onto the same contract:
+//   { response, suggestions, sessionId, timestamp, form?, slotPicker?, blocks? }
+// The active adapter is chosen with CHAT_BACKEND (n8n | openai | mock).
+// send(request, { onToken, retries, log, upstream }) — request carries the message,
+// session, intent, request ID and any attachment references; retries overrides the
+// attempt count (a circuit-breaker probe uses one); log is the request logger and
+// upstream the metrics label for this target.
+// routeKey(intent), when present, names the upstream target an intent goes to,
+// so caches and circuit breakers can be kept per target.
+// probe() does a cheap reachability check per target for /api/health.
+
+import { fetchWithRetry, probeUrl, readUpstreamStream } from './upstream.js';
+import { ApiError, SUGGESTION_LIMITS } from './contract.js';
+import { getIntentRoutes } from './intent-router.js';
+import { buildLeadForm } from './leads.js';
+import { normalizeBlocks } from './blocks.js';
+import { logger } from './logger.js';
+
+// ─── Helper: robustly extract response text from any n8n payload shape ────────
+function extractResponseText(data) {
+    const candidates = Array.isArray(data) ? data : [data];
+    for (const item of candidates) {
+        if (!item || typeof item !== 'object') continue;
+        const direct = item.response || item.output || item.text || item.message || item.answer;
+        if (direct && typeof direct === 'string' && direct.trim()) return direct.trim();
+        const nested =
+            item?.json?.response ||
+            item?.json?.output ||
+            item?.json?.text ||
+            item?.data?.response ||
+            item?.data?.output ||
+            item?.body?.response;
+        if (nested && typeof nested === 'string' && nested.trim()) return nested.trim();
+    }
+    return null;
+}
+
+// ─── Helper: extract suggestions array from n8n payload ───────────────────────
+// Chips that are empty or too long for the widget are dropped rather than cut
+// short — a chip sends its own text, so a truncated one would ask something else.
+function extractSuggestions(data) {
+    const candidates = Array.isArray(data) ? data : [data];
+    for (const item of candidates) {
+        if (!item || typeof item !== 'object') continue;
+        const s = item.suggestions || item?.json?.suggestions || item?.data?.suggestions;
+        if (Array.isArray(s)) {
+            return s
+                .map(chip => String(chip ?? '').trim())
+                .filter(chip => chip && chip.length <= SUGGESTION_LIMITS.length)
+                .slice(0, SUGGESTION_LIMITS.chips); // 0–3 chips
+        }
+    }
+    return [];
+}
+
+// ─── Helper: extract rich message blocks from n8n payload ──────────────────────
+// Cards, carousels, buttons and quick replies; see _lib/blocks.js
+function extractBlocks(data) {
+    const candidates = Array.isArray(data) ? data : [data];
+    for (const item of candidates) {
+        if (!item || typeof item !== 'object') continue;
+        const blocks = item.blocks || item?.json?.blocks || item?.data?.blocks;
+        if (Array.isArray(blocks)) return normalizeBlocks(blocks);
+    }
+    return undefined;
+}
+
+// ─── Helper: extract a lead form request from n8n payload ─────────────────────
+// n8n may send a preset name ("quote") or a full form spec; see _lib/leads.js
+function extractForm(data) {
+    const candidates = Array.isArray(data) ? data : [data];
+    for (const item of candidates) {
+        if (!item || typeof item !== 'object') continue;
+        const spec = item.form || item?.json?.form || item?.data?.form;
+        if (spec) return buildLeadForm(spec) || undefined;
+    }
+    return undefined;
+}
+
+// ─── Helper: extract a slot picker request from n8n payload ───────────────────
+// `"slotPicker": true` uses the defaults; an object may set title and days.
+function extractSlotPicker(data) {
+    const candidates = Array.isArray(data) ? data : [data];
+    for (const item of candidates) {
+        if (!item || typeof item !== 'object') continue;
+        const spec = item.slotPicker ?? item?.json?.slotPicker ?? item?.data?.slotPicker;
+        if (spec === true) return { title: 'Pick a time that suits you', days: 7 };
+        if (spec && typeof spec === 'object') {
+            return {
+                title: String(spec.title || 'Pick a time that suits you').slice(0, 120),
+                days: Math.min(14, Math.max(1, parseInt(spec.days, 10) || 7))
+            };
+        }
+    }
+    return undefined;
+}
+
+// ─── Helper: run a streaming-capable upstream call ────────────────────────────
+// When onToken is given and the upstream streams, tokens are relayed as they
+// arrive and the accumulated text is returned. Otherwise (or when the body turns
+// out to be one plain JSON document) the raw text comes back for normal parsing.
+async function readReply(response, onToken) {
+    if (!onToken || !response.ok || !response.body) {
+        return { rawText: await response.text(), streamedText: null, extras: [] };
+    }
+    let streamedText = '';
+    let streamed = false;
+    const { rawText, extras } = await readUpstreamStream(response, (token) => {
+        streamed = true;
+        streamedText += token;
+        onToken(token);
+    });
+    return { rawText, streamedText: streamed ? streamedText : null, extras };
+}
+
+function parseJson(rawText, provider, log) {
+    try {
+        return JSON.parse(rawText);
+    } catch {
+        log.error(`${provider} returned non-JSON`, { raw: rawText.substring(0, 500) });
+        throw new ApiError('UPSTREAM_BAD_PAYLOAD', `Invalid JSON from ${provider}`);
+    }
+}
+
+// ─── Adapter: n8n webhook (default) ───────────────────────────────────────────
+const n8nAdapter = {
+    name: 'n8n',
+
+    missingConfig() {
+        getIntentRoutes(); // throws on a malformed routing table
+        return process.env.N8N_WEBHOOK_URL ? null : 'N8N_WEBHOOK_URL';
+    },
+
+    // Intents listed in N8N_INTENT_ROUTES get their own workflow
+    routeKey(intent) {
+        return intent && getIntentRoutes()[intent] ? `n8n:${intent}` : 'n8n';
+    },
+
+    // A GET never triggers a POST webhook's workflow, but proves n8n answers
+    async probe() {
+        const targets = [['n8n', process.env.N8N_WEBHOOK_URL]];
+        for (const [intent, url] of Object.entries(getIntentRoutes())) targets.push([`n8n:${intent}`, url]);
+        return Promise.all(targets.map(async ([target, url]) => ({ target, ...(await probeUrl(url)) })));
+    },
+
+    async send({ message, timestamp, sessionId, intent, requestId, attachments = [] }, { onToken, retries = 2, log = logger, upstream = 'n8n' } = {}) {
+        const webhookUrl = (intent && getIntentRoutes()[intent]) || process.env.N8N_WEBHOOK_URL;
+        const n8nResponse = await fetchWithRetry(
+            webhookUrl,
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    message,
+                    timestamp: timestamp || new Date().toISOString(),
+                    sessionId: sessionId || 'unknown',
+                    intent: intent || undefined,
+                    requestId,
+                    attachments: attachments.length > 0 ? attachments : undefined
+                })
+            },
+            {
+                retries,          // default: 1 initial attempt + 1 retry
+                delayMs: 2000,    // wait 2s before retry
+                timeoutMs: 55000, // 55s per attempt (leaves 5s buffer under Vercel's 60s limit)
+                log,
+                upstream
+            }
+        );
+
+        const { rawText, streamedText, extras } = await readReply(n8nResponse, onToken);
+
+        if (!n8nResponse.ok) {
+            log.error('n8n returned an HTTP error', { upstreamStatus: n8nResponse.status, raw: rawText.substring(0, 500) });
+            throw new ApiError('UPSTREAM_ERROR', `n8n webhook error: ${n8nResponse.status}`);
+        }
+
+        if (streamedText !== null) {
+            const extra = extras[extras.length - 1];
+            return {
+                response: streamedText.trim(),
+                suggestions: extractSuggestions(extras),
+                form: extractForm(extras),
+                slotPicker: extractSlotPicker(extras),
+                blocks: extractBlocks(extras),
+                sessionId: extra?.sessionId || sessionId,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        const data = parseJson(rawText, 'n8n', log);
+
+        // ── Extract response text (handles all n8n payload shapes) ────────────
+        const responseText = extractResponseText(data);
+        if (!responseText) {
+            log.error('Could not find response text in n8n payload', { raw: JSON.stringify(data).substring(0, 500) });
+            throw new ApiError('UPSTREAM_BAD_PAYLOAD', 'No response text found in n8n payload');
+        }
+
+        // ── Determine sessionId to echo back ──────────────────────────────────
+        const payload = Array.isArray(data) ? data[0] : data;
+        return {
+            response: responseText,
+            suggestions: extractSuggestions(data),
+            form: extractForm(data),
+            slotPicker: extractSlotPicker(data),
+            blocks: extractBlocks(data),
+            sessionId: payload?.sessionId || payload?.json?.sessionId || sessionId,
+            timestamp: payload?.timestamp || new Date().toISOString()
+        };
+    }
+};
+
+// ─── Adapter: any OpenAI-compatible /chat/completions endpoint ────────────────
+const openAiAdapter = {
+    name: 'openai',
+
+    missingConfig() {
+        if (!process.env.OPENAI_API_KEY) return 'OPENAI_API_KEY';
+        if (!process.env.OPENAI_MODEL) return 'OPENAI_MODEL';
+        return null;
+    },
+
+    // Listing models costs nothing and also verifies the API key
+    async probe() {
+        const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        const result = await probeUrl(
+            `${baseUrl}/models`,
+            { headers: { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` } },
+            { isHealthy: (r) => r.ok }
+        );
+        return [{ target: 'openai', ...result }];
+    },
+
+    async send({ message, sessionId, attachments = [] }, { onToken, retries = 2, log = logger, upstream = 'openai' } = {}) {
+        const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        const messages = [];
+        if (process.env.OPENAI_SYSTEM_PROMPT) {
+            messages.push({ role: 'system', content: process.env.OPENAI_SYSTEM_PROMPT });
+        }
+        // Attachments are listed as links; the model decides whether they matter
+        const attachmentNote = attachments.map(a => `[Attachment: ${a.name} (${a.type}, ${a.size} bytes) ${a.url}]`).join('\n');
+        messages.push({ role: 'user', content: attachmentNote ? `${message}\n\n${attachmentNote}` : message });
+
+        const completion = await fetchWithRetry(
+            `${baseUrl}/chat/completions`,
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+                },
+                body: JSON.stringify({
+                    model: process.env.OPENAI_MODEL,
+                    messages,
+                    stream: Boolean(onToken),
+                    user: sessionId || undefined
+                })
+            },
+            { retries, delayMs: 2000, timeoutMs: 55000, log, upstream }
+        );
+
+        const { rawText, streamedText } = await readReply(completion, onToken);
+
+        if (!completion.ok) {
+            log.error('OpenAI-compatible backend returned an HTTP error', { upstreamStatus: completion.status, raw: rawText.substring(0, 500) });
+            throw new ApiError('UPSTREAM_ERROR', `LLM backend error: ${completion.status}`);
+        }
+
+        let responseText = streamedText;
+        if (responseText === null) {
+            const data = parseJson(rawText, 'LLM backend', log);
+            responseText = data?.choices?.[0]?.message?.content;
+        }
+        if (!responseText || !responseText.trim()) {
+            throw new ApiError('UPSTREAM_BAD_PAYLOAD', 'No response text found in LLM backend payload');
+        }
+
+        return {
+            response: responseText.trim(),
+            suggestions: [],
+            sessionId,
+            timestamp: new Date().toISOString()
+        };
+    }
+};
+
+// ─── Adapter: deterministic local mock (staging / offline development) ────────
+const MOCK_REPLIES = [
+    {
+        pattern: /service|offer|help/i,
+        response: 'We design and build websites, mobile apps and AI automations for ambitious brands.',
+        suggestions: ['See portfolio', 'Get a quote']
+    },
+    {
+        pattern: /portfolio|work|case/i,
+        response: 'Our portfolio covers e-commerce, fintech and SaaS launches — here are a few recent ones.',
+        suggestions: ['Our services', 'Get a quote'],
+        blocks: [
+            {
+                type: 'carousel',
+                cards: [
+                    { type: 'card', title: 'Lumina Bank', text: 'Mobile banking app — UI/UX and iOS/Android build.' },
+                    { type: 'card', title: 'Vogue Aura', text: 'Fashion e-commerce site and brand refresh.' },
+                    { type: 'card', title: 'Cloud Core', text: 'SaaS dashboard for real-time infrastructure data.' }
+                ]
+            },
+            {
+                type: 'quick_replies',
+                replies: [{ label: 'Something similar for me', message: 'I would like a quote for a similar project', intent: 'LEAD' }]
+            }
+        ]
+    },
+    {
+        pattern: /quote|price|cost|budget/i,
+        response: 'Every project is scoped individually. Share a few details and we will send you a quote within a day.',
+        suggestions: ['How it works', 'Talk to a human'],
+        form: 'quote'
+    },
+    {
+        pattern: /book|meeting|schedule|call/i,
+        response: 'Happy to set up a call! Pick a time below and you will get a calendar invite straight away.',
+        suggestions: ['How it works'],
+        slotPicker: true
+    },
+    {
+        pattern: /how it works|process/i,
+        response: 'We start with a discovery call, then move through design, build and launch in short sprints.',
+        suggestions: ['Get a quote']
+    }
+];
+
+const mockAdapter = {
+    name: 'mock',
+
+    missingConfig() {
+        return null;
+    },
+
+    async probe() {
+        return [{ target: 'mock', ok: true, latencyMs: 0 }];
+    },
+
+    async send({ message, sessionId }, { onToken } = {}) {
+        const match = MOCK_REPLIES.find(r => r.pattern.test(message));
+        const reply = match || {
+            response: `(mock) You said: "${message}". Configure CHAT_BACKEND to reach a real model.`,
+            suggestions: ['Our services']
+        };
+
+        if (onToken) {
+            reply.response.split(/(?<= )/).forEach(word => onToken(word));
+        }
+
+        return {
+            response: reply.response,
+            suggestions: reply.suggestions,
+            form: reply.form ? buildLeadForm(reply.form) : undefined,
+            slotPicker: reply.slotPicker ? extractSlotPicker(reply) : undefined,
+            blocks: normalizeBlocks(reply.blocks),
+            sessionId,
+            timestamp: new Date().toISOString()
+        };
+    }
+};
+
+const ADAPTERS = {
+    [n8nAdapter.name]: n8nAdapter,
+    [openAiAdapter.name]: openAiAdapter,
+    [mockAdapter.name]: mockAdapter
+};
+
+// ─── Resolve the adapter selected by CHAT_BACKEND (defaults to n8n) ───────────
+export function getChatAdapter(name = process.env.CHAT_BACKEND) {
+    const key = (name || 'n8n').trim().toLowerCase();
+    const adapter = ADAPTERS[key];
+    if (!adapter) throw new Error(`Unknown CHAT_BACKEND "${name}"`);
+    return adapter;
+}
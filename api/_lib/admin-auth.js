@@ -0,0 +1,20 @@
+// Shared check for operator-only routes (cache invalidation, metrics, ...)
+// Callers send "Authorization: Bearer <ADMIN_TOKEN>". Without ADMIN_TOKEN set,
+// the protected routes stay disabled.
+
+import { timingSafeEqual } from 'node:crypto';
+
+export function isAdminConfigured() {
+    return Boolean(process.env.ADMIN_TOKEN);
+}
+
+export function isAdminRequest(req) {
+    const expected = process.env.ADMIN_TOKEN;
+    if (!expected) return false;
+    const header = String(req.headers?.authorization || '');
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+    const given = Buffer.from(match[1].trim());
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && timingSafeEqual(given, wanted);
+}
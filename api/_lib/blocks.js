@@ -0,0 +1,111 @@
+// Rich message blocks shown under a bot reply
+// A backend reply may add `blocks: [...]` next to its text. normalizeBlocks() keeps
+// the block types and fields the widget knows how to render and drops the rest, so
+// one malformed block never costs the visitor the whole reply.
+//   card          { type, title, text?, image?, imageAlt?, link?: { label, url } }
+//   carousel      { type, cards: card[] }
+//   buttons       { type, buttons: [{ label, url } | { label, message, intent? }] }
+//   quick_replies { type, replies: [{ label, message, intent? }] }  (strings allowed)
+// URLs must be http(s) or site-relative ("/pricing").
+
+import { INTENTS } from './intent-router.js';
+
+export const BLOCK_TYPES = ['card', 'carousel', 'buttons', 'quick_replies'];
+export const BLOCK_LIMITS = {
+    blocks: 5,
+    cards: 10,
+    buttons: 5,
+    replies: 6,
+    label: 40,
+    title: 80,
+    text: 300,
+    message: 500,
+    url: 2000
+};
+
+// ─── Helper: trimmed, length-capped string or null ────────────────────────────
+function text(value, max) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null;
+}
+
+function safeUrl(value) {
+    const url = text(value, BLOCK_LIMITS.url);
+    if (!url) return null;
+    return /^https?:\/\/[^\s]+$/i.test(url) || /^\/(?!\/)[^\s]*$/.test(url) ? url : null;
+}
+
+function intentOf(value) {
+    const intent = typeof value === 'string' ? value.trim().toUpperCase() : null;
+    return INTENTS.includes(intent) ? intent : undefined;
+}
+
+// ─── Per-type normalizers (each returns null when nothing usable is left) ─────
+function normalizeCard(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const title = text(raw.title, BLOCK_LIMITS.title);
+    if (!title) return null;
+    const card = { type: 'card', title };
+    const body = text(raw.text ?? raw.subtitle, BLOCK_LIMITS.text);
+    if (body) card.text = body;
+    const image = safeUrl(raw.image ?? raw.imageUrl);
+    if (image) {
+        card.image = image;
+        card.imageAlt = text(raw.imageAlt, BLOCK_LIMITS.title) || title;
+    }
+    const link = typeof raw.link === 'string' ? { url: raw.link } : raw.link;
+    const url = safeUrl(link?.url ?? raw.url);
+    if (url) card.link = { label: text(link?.label, BLOCK_LIMITS.label) || 'Learn more', url };
+    return card;
+}
+
+// A button either opens a URL or sends a message back to the bot
+function normalizeAction(raw) {
+    const entry = typeof raw === 'string' ? { label: raw } : raw;
+    if (!entry || typeof entry !== 'object') return null;
+    const label = text(entry.label ?? entry.title, BLOCK_LIMITS.label);
+    if (!label) return null;
+    const url = safeUrl(entry.url);
+    if (url) return { label, url };
+    if (entry.url !== undefined) return null;
+    const action = { label, message: text(entry.message ?? entry.value, BLOCK_LIMITS.message) || label };
+    const intent = intentOf(entry.intent);
+    if (intent) action.intent = intent;
+    return action;
+}
+
+const NORMALIZERS = {
+    card: normalizeCard,
+
+    carousel(raw) {
+        const cards = (Array.isArray(raw.cards) ? raw.cards : [])
+            .map(normalizeCard).filter(Boolean).slice(0, BLOCK_LIMITS.cards);
+        return cards.length > 0 ? { type: 'carousel', cards } : null;
+    },
+
+    buttons(raw) {
+        const buttons = (Array.isArray(raw.buttons) ? raw.buttons : [])
+            .map(normalizeAction).filter(Boolean).slice(0, BLOCK_LIMITS.buttons);
+        return buttons.length > 0 ? { type: 'buttons', buttons } : null;
+    },
+
+    quick_replies(raw) {
+        // Quick replies always answer in the chat, so link entries are dropped
+        const replies = (Array.isArray(raw.replies) ? raw.replies : [])
+            .map(normalizeAction).filter(reply => reply && !reply.url).slice(0, BLOCK_LIMITS.replies);
+        return replies.length > 0 ? { type: 'quick_replies', replies } : null;
+    }
+};
+
+// ─── Clean up a backend `blocks` value; undefined when nothing is renderable ──
+export function normalizeBlocks(raw) {
+    if (!Array.isArray(raw)) return undefined;
+    const blocks = [];
+    for (const entry of raw) {
+        if (!entry || typeof entry !== 'object') continue;
+        const type = typeof entry.type === 'string' ? entry.type.trim().toLowerCase().replace(/[-\s]/g, '_') : '';
+        const block = Object.hasOwn(NORMALIZERS, type) ? NORMALIZERS[type](entry) : null;
+        if (block) blocks.push(block);
+        if (blocks.length === BLOCK_LIMITS.blocks) break;
+    }
+    return blocks.length > 0 ? blocks : undefined;
+}
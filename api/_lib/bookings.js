@@ -0,0 +1,192 @@
+// Meeting bookings
+// A booking holds one slot produced by _lib/calendar.js. Reserving, rescheduling and
+// cancelling all re-check the slot against the calendar source and every other
+// confirmed booking, so two visitors can't take the same time.
+// The store is chosen with BOOKING_STORE (memory | file), mirroring history.js:
+//   save(booking) → void,  get(id) → booking | null,  list() → booking[]
+//
+// Booking: { id, sessionId, start, end, name, email, topic, status, sequence,
+//            createdAt, updatedAt }   status: confirmed | cancelled
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { availabilityWindow, computeSlots, getBookingSettings, getCalendarSource } from './calendar.js';
+import { buildIcsInvite } from './ics.js';
+import { logger } from './logger.js';
+
+// ─── Store: in-memory (per warm instance — fine for dev and demos) ────────────
+function createMemoryStore() {
+    const bookings = new Map();
+    return {
+        name: 'memory',
+        async save(booking) {
+            bookings.set(booking.id, structuredClone(booking));
+        },
+        async get(id) {
+            const booking = bookings.get(id);
+            return booking ? structuredClone(booking) : null;
+        },
+        async list() {
+            return [...bookings.values()].map(b => structuredClone(b));
+        }
+    };
+}
+
+// ─── Store: one JSON file per booking ─────────────────────────────────────────
+function createFileStore(dir = process.env.BOOKING_DIR || '/tmp/moonshot-bookings') {
+    const fileFor = (id) => path.join(dir, `${id}.json`);
+    return {
+        name: 'file',
+        async save(booking) {
+            await fs.mkdir(dir, { recursive: true });
+            const tmp = `${fileFor(booking.id)}.${process.pid}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(booking), 'utf8');
+            await fs.rename(tmp, fileFor(booking.id));
+        },
+        async get(id) {
+            try {
+                return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+        async list() {
+            let names;
+            try {
+                names = await fs.readdir(dir);
+            } catch (err) {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            }
+            const bookings = [];
+            for (const name of names.filter(n => n.endsWith('.json'))) {
+                try { bookings.push(JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'))); }
+                catch { logger.warn('Skipping unreadable booking', { file: name }); }
+            }
+            return bookings;
+        }
+    };
+}
+
+const STORES = {
+    memory: createMemoryStore,
+    file: createFileStore
+};
+
+let activeStore = null;
+
+// ─── Resolve the store selected by BOOKING_STORE (defaults to memory) ─────────
+export function getBookingStore() {
+    if (activeStore) return activeStore;
+    const key = (process.env.BOOKING_STORE || 'memory').trim().toLowerCase();
+    const create = STORES[key];
+    if (!create) throw new Error(`Unknown BOOKING_STORE "${process.env.BOOKING_STORE}"`);
+    activeStore = create();
+    return activeStore;
+}
+
+// Thrown when the requested slot is not (or no longer) open
+export class SlotUnavailableError extends Error {
+    constructor(message = 'That time is no longer available') {
+        super(message);
+        this.name = 'SlotUnavailableError';
+    }
+}
+
+// ─── Helper: serialise check-then-save so one instance never double-books ────
+let queue = Promise.resolve();
+function withBookingLock(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+}
+
+// ─── Open slots over the next `days` days ─────────────────────────────────────
+// excludeBookingId lets a booking being rescheduled free its own slot.
+export async function getAvailableSlots({ from = new Date(), days = 7, excludeBookingId = null } = {}) {
+    const settings = getBookingSettings();
+    const window = availabilityWindow(from, days);
+    const busy = await getCalendarSource().listBusy(window);
+    const booked = (await getBookingStore().list())
+        .filter(b => b.status === 'confirmed' && b.id !== excludeBookingId)
+        .map(b => ({ start: new Date(b.start), end: new Date(b.end) }));
+    return computeSlots({ from, days, busy: [...busy, ...booked], settings });
+}
+
+async function findOpenSlot(start, excludeBookingId) {
+    const startDate = new Date(start);
+    if (Number.isNaN(startDate.getTime())) throw new SlotUnavailableError('start must be an ISO date-time');
+    const slots = await getAvailableSlots({ from: new Date(startDate.getTime() - 60 * 1000), days: 2, excludeBookingId });
+    const slot = slots.find(s => s.start === startDate.toISOString());
+    if (!slot) throw new SlotUnavailableError();
+    return slot;
+}
+
+export async function getBooking(id) {
+    if (typeof id !== 'string' || !/^booking_[A-Za-z0-9_-]{1,40}$/.test(id)) return null;
+    return getBookingStore().get(id);
+}
+
+// ─── Reserve a slot ───────────────────────────────────────────────────────────
+export async function reserveBooking({ start, sessionId, name = null, email, topic = null }) {
+    return withBookingLock(async () => {
+        const slot = await findOpenSlot(start);
+        const now = new Date().toISOString();
+        const booking = {
+            id: `booking_${randomBytes(9).toString('base64url')}`,
+            sessionId,
+            start: slot.start,
+            end: slot.end,
+            name,
+            email,
+            topic,
+            status: 'confirmed',
+            sequence: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        await getBookingStore().save(booking);
+        return booking;
+    });
+}
+
+// ─── Move a confirmed booking to another open slot ───────────────────────────
+export async function rescheduleBooking(id, start) {
+    return withBookingLock(async () => {
+        const booking = await getBooking(id);
+        if (!booking) return null;
+        if (booking.status !== 'confirmed') throw new SlotUnavailableError('This booking was cancelled');
+        const slot = await findOpenSlot(start, booking.id);
+        Object.assign(booking, {
+            start: slot.start,
+            end: slot.end,
+            sequence: booking.sequence + 1,
+            updatedAt: new Date().toISOString()
+        });
+        await getBookingStore().save(booking);
+        return booking;
+    });
+}
+
+export async function cancelBooking(id) {
+    return withBookingLock(async () => {
+        const booking = await getBooking(id);
+        if (!booking || booking.status === 'cancelled') return booking;
+        Object.assign(booking, { status: 'cancelled', sequence: booking.sequence + 1, updatedAt: new Date().toISOString() });
+        await getBookingStore().save(booking);
+        return booking;
+    });
+}
+
+// ─── .ics invite for the booking's current state ─────────────────────────────
+export function bookingInvite(booking) {
+    const settings = getBookingSettings();
+    return buildIcsInvite(booking, {
+        method: booking.status === 'cancelled' ? 'CANCEL' : 'REQUEST',
+        title: settings.title,
+        description: booking.topic ? `Topic: ${booking.topic}` : '',
+        organizerEmail: settings.organizerEmail
+    });
+}
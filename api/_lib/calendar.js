@@ -0,0 +1,156 @@
+// Calendar sources and slot generation for meeting bookings
+// Open slots are the working hours (BOOKING_HOURS on BOOKING_DAYS in BOOKING_TIMEZONE)
+// cut into BOOKING_SLOT_MINUTES pieces, minus anything the calendar source reports
+// as busy. The source is chosen with CALENDAR_SOURCE; each one exposes:
+//   name, missingConfig() → env var name | null, listBusy({ from, to }) → [{ start, end }]
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { parseIcsEvents, zonedTimeToUtc } from './ics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_AVAILABILITY_DAYS = 14;
+const MIN_SLOT_MINUTES = 5;
+const MAX_SLOT_MINUTES = 240;
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+function parseHours(raw) {
+    const match = String(raw).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match) throw new Error(`Invalid BOOKING_HOURS "${raw}" — expected "HH:MM-HH:MM"`);
+    const startMinute = Number(match[1]) * 60 + Number(match[2]);
+    const endMinute = Number(match[3]) * 60 + Number(match[4]);
+    if (endMinute <= startMinute || endMinute > 24 * 60) throw new Error(`Invalid BOOKING_HOURS "${raw}"`);
+    return { startMinute, endMinute };
+}
+
+// ISO weekday numbers, 1 = Monday … 7 = Sunday
+function parseDays(raw) {
+    const days = String(raw).split(',').map(d => Number(d.trim())).filter(d => Number.isInteger(d) && d >= 1 && d <= 7);
+    if (days.length === 0) throw new Error(`Invalid BOOKING_DAYS "${raw}" — expected e.g. "1,2,3,4,5"`);
+    return new Set(days);
+}
+
+export function getBookingSettings() {
+    const timeZone = process.env.BOOKING_TIMEZONE || 'UTC';
+    new Intl.DateTimeFormat('en-US', { timeZone }); // throws on an unknown zone
+    const slotMinutes = Number(process.env.BOOKING_SLOT_MINUTES);
+    const minNoticeHours = Number(process.env.BOOKING_MIN_NOTICE_HOURS ?? 2);
+    return {
+        timeZone,
+        // A whole number of minutes in a sane range; anything else (negative, 0.5, 5000) falls back
+        slotMinutes: Number.isInteger(slotMinutes) && slotMinutes >= MIN_SLOT_MINUTES && slotMinutes <= MAX_SLOT_MINUTES ? slotMinutes : 30,
+        minNoticeMs: (Number.isFinite(minNoticeHours) && minNoticeHours >= 0 ? minNoticeHours : 2) * 60 * 60 * 1000,
+        hours: parseHours(process.env.BOOKING_HOURS || '09:00-17:00'),
+        days: parseDays(process.env.BOOKING_DAYS || '1,2,3,4,5'),
+        title: process.env.BOOKING_TITLE || 'Call with Moonshot',
+        organizerEmail: process.env.BOOKING_ORGANIZER_EMAIL || null
+    };
+}
+
+// ─── Helper: read a calendar file relative to the project root ───────────────
+async function readCalendarFile() {
+    const file = path.resolve(process.cwd(), process.env.CALENDAR_FILE);
+    return fs.readFile(file, 'utf8');
+}
+
+function overlapsRange({ start, end }, from, to) {
+    return start < to && end > from;
+}
+
+// ─── Source: none — working hours only ────────────────────────────────────────
+const noneSource = {
+    name: 'none',
+    missingConfig() {
+        return null;
+    },
+    async listBusy() {
+        return [];
+    }
+};
+
+// ─── Source: JSON file — [{ "start": ISO, "end": ISO }] or { "busy": [...] } ────
+const jsonSource = {
+    name: 'json',
+    missingConfig() {
+        return process.env.CALENDAR_FILE ? null : 'CALENDAR_FILE';
+    },
+    async listBusy({ from, to }) {
+        const data = JSON.parse(await readCalendarFile());
+        const entries = Array.isArray(data) ? data : data?.busy;
+        if (!Array.isArray(entries)) throw new Error('CALENDAR_FILE must hold an array of { start, end } or { busy: [...] }');
+        return entries
+            .map(entry => ({ start: new Date(entry.start), end: new Date(entry.end) }))
+            .filter(entry => !Number.isNaN(entry.start.getTime()) && !Number.isNaN(entry.end.getTime()))
+            .filter(entry => overlapsRange(entry, from, to));
+    }
+};
+
+// ─── Source: ICS file — e.g. an export of the team's Google/Outlook calendar ─
+const icsSource = {
+    name: 'ics',
+    missingConfig() {
+        return process.env.CALENDAR_FILE ? null : 'CALENDAR_FILE';
+    },
+    async listBusy({ from, to }) {
+        const events = parseIcsEvents(await readCalendarFile(), { defaultZone: getBookingSettings().timeZone, from, to });
+        return events.filter(event => overlapsRange(event, from, to));
+    }
+};
+
+const SOURCES = {
+    [noneSource.name]: noneSource,
+    [jsonSource.name]: jsonSource,
+    [icsSource.name]: icsSource
+};
+
+// ─── Resolve the source selected by CALENDAR_SOURCE (defaults to none) ────────
+export function getCalendarSource(name = process.env.CALENDAR_SOURCE) {
+    const key = (name || 'none').trim().toLowerCase();
+    const source = SOURCES[key];
+    if (!source) throw new Error(`Unknown CALENDAR_SOURCE "${name}"`);
+    return source;
+}
+
+// ─── Helper: calendar date (in the booking zone) that an instant falls on ─────
+function zonedDate(date, timeZone) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+            .formatToParts(date).map(p => [p.type, p.value])
+    );
+    return { year: Number(parts.year), month: Number(parts.month), day: Number(parts.day) };
+}
+
+// ─── Cut working hours into slots and drop every slot that overlaps `busy` ────
+// Returns [{ start, end }] as ISO strings, oldest first.
+export function computeSlots({ from, days, busy = [], settings = getBookingSettings(), now = new Date() }) {
+    const first = zonedDate(from, settings.timeZone);
+    const earliest = Math.max(from.getTime(), now.getTime() + settings.minNoticeMs);
+    const slotMs = settings.slotMinutes * 60 * 1000;
+    const slots = [];
+
+    for (let offset = 0; offset < days; offset++) {
+        const date = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+        const weekday = date.getUTCDay() || 7;
+        if (!settings.days.has(weekday)) continue;
+
+        for (let minute = settings.hours.startMinute; minute + settings.slotMinutes <= settings.hours.endMinute; minute += settings.slotMinutes) {
+            const start = zonedTimeToUtc({
+                year: date.getUTCFullYear(),
+                month: date.getUTCMonth() + 1,
+                day: date.getUTCDate(),
+                hour: Math.floor(minute / 60),
+                minute: minute % 60
+            }, settings.timeZone);
+            const end = new Date(start.getTime() + slotMs);
+            if (start.getTime() < earliest) continue;
+            if (busy.some(b => overlapsRange(b, start, end))) continue;
+            slots.push({ start: start.toISOString(), end: end.toISOString() });
+        }
+    }
+    return slots;
+}
+
+// ─── Busy-time query range for computeSlots (a day of slack for zone offsets) ─
+export function availabilityWindow(from, days) {
+    return { from: new Date(from.getTime() - DAY_MS), to: new Date(from.getTime() + (days + 1) * DAY_MS) };
+}
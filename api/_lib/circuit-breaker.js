@@ -0,0 +1,94 @@
+// Circuit breaker for chat backends
+// closed    → requests flow; consecutive upstream failures are counted
+// open      → after BREAKER_FAILURE_THRESHOLD failures, requests are refused for
+//             BREAKER_OPEN_SECONDS so callers can answer in degraded mode
+// half-open → once that wait is over, a single probe request is let through;
+//             success closes the breaker, failure opens it again
+// State lives in memory per warm instance, one breaker per backend name.
+
+import { SUGGESTION_LIMITS } from './contract.js';
+import { logger } from './logger.js';
+
+const breakers = new Map();
+
+function getSettings() {
+    const threshold = Number(process.env.BREAKER_FAILURE_THRESHOLD);
+    const openSeconds = Number(process.env.BREAKER_OPEN_SECONDS);
+    return {
+        failureThreshold: threshold > 0 ? threshold : 3,
+        openMs: (openSeconds > 0 ? openSeconds : 30) * 1000
+    };
+}
+
+export function createCircuitBreaker(name, { failureThreshold, openMs } = getSettings()) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let probing = false;
+
+    const transition = (next) => {
+        if (next !== state) logger.warn('circuit breaker state change', { breaker: name, from: state, to: next });
+        state = next;
+    };
+
+    return {
+        get state() {
+            if (state === 'open' && Date.now() - openedAt >= openMs) return 'half-open';
+            return state;
+        },
+
+        // Returns 'normal' or 'probe' when the call may go ahead, null when refused
+        acquire() {
+            if (state === 'open') {
+                if (Date.now() - openedAt < openMs) return null;
+                transition('half-open');
+            }
+            if (state === 'half-open') {
+                if (probing) return null;
+                probing = true;
+                return 'probe';
+            }
+            return 'normal';
+        },
+
+        recordSuccess() {
+            probing = false;
+            failures = 0;
+            transition('closed');
+        },
+
+        recordFailure() {
+            probing = false;
+            failures++;
+            if (state === 'half-open' || failures >= failureThreshold) {
+                failures = 0;
+                openedAt = Date.now();
+                transition('open');
+            }
+        },
+
+        // The call ended for a reason that says nothing about upstream health
+        release() {
+            probing = false;
+        }
+    };
+}
+
+export function getCircuitBreaker(name) {
+    if (!breakers.has(name)) breakers.set(name, createCircuitBreaker(name));
+    return breakers.get(name);
+}
+
+// ─── Reply served while the breaker is open ───────────────────────────────────
+export function getDegradedReply() {
+    const suggestions = (process.env.DEGRADED_SUGGESTIONS ?? 'Leave my email,Talk to a human')
+        .split(',')
+        .map(s => s.trim())
+        .filter(chip => chip && chip.length <= SUGGESTION_LIMITS.length)
+        .slice(0, SUGGESTION_LIMITS.chips);
+    return {
+        response: process.env.DEGRADED_REPLY ||
+            "Our assistant is taking a short break. Leave your email and our team will get back to you shortly.",
+        suggestions
+    };
+}
@@ -0,0 +1,231 @@
+// /api/chat response contract — version 2
+// Request and response bodies are checked against the schemas below, and every
+// failure is reported as { error: { code, message, details? }, response? } with
+// the HTTP status that belongs to its code. See "Chat API contract" in README.md.
+
+import { validate } from './schema.js';
+import { INTENTS } from './intent-router.js';
+import { LEAD_FIELDS } from './leads.js';
+import { BLOCK_LIMITS, BLOCK_TYPES } from './blocks.js';
+import { MAX_ATTACHMENTS_PER_MESSAGE } from './uploads.js';
+
+export const CONTRACT_VERSION = 2;
+
+// Suggestion chips a reply may carry; adapters drop anything past these limits
+export const SUGGESTION_LIMITS = { chips: 3, length: 80 };
+
+// ─── Error codes and their HTTP statuses ──────────────────────────────────────
+export const ERROR_STATUS = {
+    VALIDATION_FAILED: 400,
+    SESSION_INVALID: 401,
+    METHOD_NOT_ALLOWED: 405,
+    RATE_LIMITED: 429,
+    CONFIG_ERROR: 500,
+    INTERNAL_ERROR: 500,
+    UPSTREAM_ERROR: 502,
+    UPSTREAM_BAD_PAYLOAD: 502,
+    UPSTREAM_TIMEOUT: 504
+};
+
+// Friendly text the widget can show as-is for the codes a visitor may hit
+const USER_MESSAGES = {
+    RATE_LIMITED: "You're sending messages a little fast — please wait a moment and try again.",
+    UPSTREAM_TIMEOUT: "I'm taking a bit longer than usual — please send your message again.",
+    UPSTREAM_ERROR: 'I ran into a hiccup, please try again in a moment.',
+    UPSTREAM_BAD_PAYLOAD: 'I ran into a hiccup, please try again in a moment.',
+    INTERNAL_ERROR: 'I ran into a hiccup, please try again in a moment.'
+};
+
+export class ApiError extends Error {
+    constructor(code, message, { details, response } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 500;
+        this.details = details;
+        this.response = response ?? USER_MESSAGES[code];
+    }
+}
+
+// ─── Map anything thrown during a request onto an ApiError ────────────────────
+export function toApiError(error) {
+    if (error instanceof ApiError) return error;
+    if (error?.name === 'AbortError' || error?.message?.includes('abort')) {
+        return new ApiError('UPSTREAM_TIMEOUT', 'The chat backend did not answer in time');
+    }
+    if (error?.message === 'fetch failed' || error?.cause?.code) {
+        return new ApiError('UPSTREAM_ERROR', `Could not reach the chat backend (${error.cause?.code || error.message})`);
+    }
+    return new ApiError('INTERNAL_ERROR', error?.message || 'Unexpected error');
+}
+
+export function errorBody(apiError, { requestId } = {}) {
+    const error = { code: apiError.code, message: apiError.message };
+    if (apiError.details) error.details = apiError.details;
+    const body = { version: CONTRACT_VERSION, error };
+    if (requestId) body.requestId = requestId;
+    if (apiError.response) body.response = apiError.response;
+    return body;
+}
+
+// ─── Schemas ──────────────────────────────────────────────────────────────────
+export const chatRequestSchema = {
+    type: 'object',
+    required: ['message'],
+    properties: {
+        message: { type: 'string', minLength: 1, maxLength: 4000 },
+        timestamp: { type: 'string', maxLength: 64 },
+        stream: { type: 'boolean' },
+        version: { type: 'integer', enum: [1, 2] },
+        intent: { type: 'string', enum: [...INTENTS, ...INTENTS.map(i => i.toLowerCase())] },
+        attachments: {
+            type: 'array',
+            maxItems: MAX_ATTACHMENTS_PER_MESSAGE,
+            items: { type: 'string', minLength: 1, maxLength: 64 }
+        }
+    }
+};
+
+// A structured form the widget renders inside the conversation (see _lib/leads.js)
+export const leadFormSchema = {
+    type: 'object',
+    required: ['id', 'title', 'submitLabel', 'fields'],
+    properties: {
+        id: { type: 'string', minLength: 1, maxLength: 40 },
+        title: { type: 'string', maxLength: 120 },
+        submitLabel: { type: 'string', minLength: 1, maxLength: 40 },
+        fields: {
+            type: 'array',
+            maxItems: Object.keys(LEAD_FIELDS).length,
+            items: {
+                type: 'object',
+                required: ['name', 'label', 'type', 'required'],
+                properties: {
+                    name: { type: 'string', enum: Object.keys(LEAD_FIELDS) },
+                    label: { type: 'string', minLength: 1, maxLength: 60 },
+                    type: { type: 'string', enum: ['text', 'email', 'tel', 'select', 'textarea'] },
+                    required: { type: 'boolean' },
+                    maxLength: { type: 'integer', minimum: 1 },
+                    options: { type: 'array', items: { type: 'string', minLength: 1 } }
+                }
+            }
+        }
+    }
+};
+
+// Ask the widget to show the meeting slot picker (fed by /api/availability)
+export const slotPickerSchema = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', maxLength: 120 },
+        days: { type: 'integer', minimum: 1, maximum: 14 }
+    }
+};
+
+// Rich blocks rendered under the reply (normalized by _lib/blocks.js). The
+// validator has no oneOf, so one schema lists the fields of every block type.
+const blockActionSchema = {
+    type: 'object',
+    required: ['label'],
+    additionalProperties: false,
+    properties: {
+        label: { type: 'string', minLength: 1, maxLength: BLOCK_LIMITS.label },
+        url: { type: 'string', minLength: 1, maxLength: BLOCK_LIMITS.url },
+        message: { type: 'string', minLength: 1, maxLength: BLOCK_LIMITS.message },
+        intent: { type: 'string', enum: INTENTS }
+    }
+};
+
+const cardSchema = {
+    type: 'object',
+    required: ['type', 'title'],
+    additionalProperties: false,
+    properties: {
+        type: { type: 'string', enum: ['card'] },
+        title: { type: 'string', minLength: 1, maxLength: BLOCK_LIMITS.title },
+        text: { type: 'string', maxLength: BLOCK_LIMITS.text },
+        image: { type: 'string', minLength: 1, maxLength: BLOCK_LIMITS.url },
+        imageAlt: { type: 'string', maxLength: BLOCK_LIMITS.title },
+        link: {
+            type: 'object',
+            required: ['label', 'url'],
+            properties: {
+                label: { type: 'string', minLength: 1, maxLength: BLOCK_LIMITS.label },
+                url: { type: 'string', minLength: 1, maxLength: BLOCK_LIMITS.url }
+            }
+        }
+    }
+};
+
+export const blocksSchema = {
+    type: 'array',
+    maxItems: BLOCK_LIMITS.blocks,
+    items: {
+        type: 'object',
+        required: ['type'],
+        additionalProperties: false,
+        properties: {
+            ...cardSchema.properties,
+            type: { type: 'string', enum: BLOCK_TYPES },
+            cards: { type: 'array', maxItems: BLOCK_LIMITS.cards, items: cardSchema },
+            buttons: { type: 'array', maxItems: BLOCK_LIMITS.buttons, items: blockActionSchema },
+            replies: { type: 'array', maxItems: BLOCK_LIMITS.replies, items: blockActionSchema }
+        }
+    }
+};
+
+export const chatResponseSchema = {
+    type: 'object',
+    required: ['version', 'requestId', 'response', 'suggestions', 'sessionId', 'timestamp', 'cached'],
+    properties: {
+        version: { type: 'integer', enum: [CONTRACT_VERSION] },
+        requestId: { type: 'string', minLength: 1 },
+        response: { type: 'string', minLength: 1 },
+        suggestions: { type: 'array', maxItems: SUGGESTION_LIMITS.chips, items: { type: 'string', minLength: 1, maxLength: SUGGESTION_LIMITS.length } },
+        sessionId: { type: 'string', minLength: 1 },
+        timestamp: { type: 'string' },
+        cached: { type: 'boolean' },
+        degraded: { type: 'boolean' },
+        intent: { type: 'string', enum: INTENTS },
+        form: leadFormSchema,
+        slotPicker: slotPickerSchema,
+        blocks: blocksSchema
+    }
+};
+
+// ─── Validate an incoming chat request body ───────────────────────────────────
+export function parseChatRequest(body) {
+    const details = validate(chatRequestSchema, body ?? null);
+    if (details.length > 0) {
+        throw new ApiError('VALIDATION_FAILED', 'Request body does not match the chat contract', {
+            details,
+            response: "I couldn't send that message — please check it and try again."
+        });
+    }
+    return body;
+}
+
+// ─── Build and validate an outgoing chat response ─────────────────────────────
+// A backend reply that doesn't fit the contract is an upstream problem, so it
+// surfaces as UPSTREAM_BAD_PAYLOAD rather than reaching the widget half-formed.
+export function buildChatResponse(reply, { requestId, sessionId, cached, degraded = false, intent = null }) {
+    const body = {
+        version: CONTRACT_VERSION,
+        requestId,
+        response: typeof reply.response === 'string' ? reply.response.trim() : reply.response,
+        suggestions: reply.suggestions || [],
+        sessionId, // always the sid from the verified token — never one the backend or the cache echoes
+        timestamp: reply.timestamp || new Date().toISOString(),
+        cached
+    };
+    if (degraded) body.degraded = true;
+    if (intent) body.intent = intent;
+    if (reply.form) body.form = reply.form;
+    if (reply.slotPicker) body.slotPicker = reply.slotPicker;
+    if (reply.blocks?.length) body.blocks = reply.blocks;
+    const details = validate(chatResponseSchema, body);
+    if (details.length > 0) {
+        throw new ApiError('UPSTREAM_BAD_PAYLOAD', 'Chat backend reply does not match the chat contract', { details });
+    }
+    return body;
+}
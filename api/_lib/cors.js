@@ -0,0 +1,69 @@
+// Shared CORS handling for the API routes
+// ALLOWED_ORIGINS is a comma-separated list of exact origins and wildcard
+// subdomain patterns, e.g. "https://moonshot.tech,https://*.moonshot.tech".
+// "*" allows every origin and has to be set explicitly; leaving it unset allows
+// same-origin calls only. Allowed origins are reflected back; preflights from
+// anything else are rejected with a 403.
+
+import { logger } from './logger.js';
+
+let warnedUnset = false;
+
+function getAllowedOrigins() {
+    const configured = process.env.ALLOWED_ORIGINS;
+    if (!configured && !warnedUnset) {
+        warnedUnset = true;
+        logger.warn('ALLOWED_ORIGINS is not set; cross-origin API calls are refused');
+    }
+    return (configured || '')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/+$/, '').toLowerCase())
+        .filter(Boolean);
+}
+
+// ─── Does one allowlist entry match this origin? ──────────────────────────────
+// "https://*.example.com" matches any subdomain depth, but not example.com itself.
+function matchesOrigin(pattern, origin) {
+    if (pattern === '*' || pattern === origin) return true;
+    const wildcard = pattern.match(/^([a-z][a-z0-9+.-]*:\/\/)\*\.(.+)$/);
+    if (!wildcard) return false;
+    const [, scheme, suffix] = wildcard;
+    return origin.startsWith(scheme) && origin.slice(scheme.length).endsWith(`.${suffix}`);
+}
+
+export function isOriginAllowed(origin) {
+    if (!origin) return false;
+    const normalized = String(origin).toLowerCase();
+    return getAllowedOrigins().some(pattern => matchesOrigin(pattern, normalized));
+}
+
+// ─── Apply CORS headers; returns true when the response is already finished ──
+// Usage: if (handleCors(req, res, { methods: 'POST, OPTIONS' })) return;
+export function handleCors(req, res, { methods, headers = 'Content-Type, Authorization, X-Request-Id' }) {
+    const origin = req.headers?.origin;
+    const allowAll = getAllowedOrigins().includes('*');
+
+    res.setHeader('Vary', 'Origin');
+    if (allowAll) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (isOriginAllowed(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', headers);
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-Cache, X-Request-Id');
+
+    if (req.method !== 'OPTIONS') return false;
+
+    if (!allowAll && !isOriginAllowed(origin)) {
+        logger.warn('CORS preflight rejected', { origin: origin || null });
+        res.status(403).json({
+            error: 'Origin not allowed',
+            message: `Origin "${origin || 'none'}" is not in ALLOWED_ORIGINS`
+        });
+        return true;
+    }
+
+    res.status(200).end();
+    return true;
+}
@@ -0,0 +1,137 @@
+// Answer feedback: thumbs up/down on bot replies, with an optional reason
+// The widget posts one vote per reply, keyed by the chat request ID that produced
+// it; voting again on the same reply (changing the thumb or adding a reason)
+// replaces the earlier vote. The store is chosen with FEEDBACK_STORE (memory | file):
+//   get(key) → feedback | null,  save(feedback) → void,  list() → feedback[]
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { createHash, randomBytes } from 'node:crypto';
+import { validate } from './schema.js';
+import { logger } from './logger.js';
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+export const FEEDBACK_REASONS = ['wrong', 'outdated', 'not_helpful', 'other'];
+
+// ─── Submission schema ────────────────────────────────────────────────────────
+export const feedbackSubmissionSchema = {
+    type: 'object',
+    required: ['requestId', 'rating', 'message'],
+    properties: {
+        requestId: { type: 'string', minLength: 1, maxLength: 128 },
+        rating: { type: 'string', enum: FEEDBACK_RATINGS },
+        reason: { type: 'string', enum: FEEDBACK_REASONS },
+        comment: { type: 'string', maxLength: 500 },
+        message: { type: 'string', minLength: 1, maxLength: 8000 }
+    }
+};
+
+// Returns { feedback fields, errors }; reasons and comments only go with a thumbs down
+export function validateFeedback(body) {
+    const errors = validate(feedbackSubmissionSchema, body ?? null);
+    if (errors.length > 0) return { errors };
+
+    const feedback = { requestId: body.requestId.trim(), rating: body.rating, reason: null, comment: null, message: body.message };
+    if (body.rating === 'down') {
+        feedback.reason = body.reason || null;
+        feedback.comment = body.comment?.trim() || null;
+    }
+    return { feedback, errors: [] };
+}
+
+// ─── Helper: session + request → store key ────────────────────────────────────
+function feedbackKey(sessionId, requestId) {
+    return createHash('sha256').update(`${sessionId}:${requestId}`).digest('hex');
+}
+
+// ─── Store: in-memory (per warm instance — fine for dev and demos) ────────────
+function createMemoryStore() {
+    const entries = new Map();
+    return {
+        name: 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            return entry ? structuredClone(entry) : null;
+        },
+        async save(feedback) {
+            entries.set(feedback.key, structuredClone(feedback));
+        },
+        async list() {
+            return [...entries.values()].map(entry => structuredClone(entry));
+        }
+    };
+}
+
+// ─── Store: one JSON file per rated reply ────────────────────────────────────
+function createFileStore(dir = process.env.FEEDBACK_DIR || '/tmp/moonshot-feedback') {
+    const fileFor = (key) => path.join(dir, `${key}.json`);
+    return {
+        name: 'file',
+        async get(key) {
+            try {
+                return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+        async save(feedback) {
+            await fs.mkdir(dir, { recursive: true });
+            const tmp = `${fileFor(feedback.key)}.${process.pid}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(feedback), 'utf8');
+            await fs.rename(tmp, fileFor(feedback.key));
+        },
+        async list() {
+            let names;
+            try {
+                names = await fs.readdir(dir);
+            } catch (err) {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            }
+            const entries = [];
+            for (const name of names.filter(n => n.endsWith('.json'))) {
+                try { entries.push(JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'))); }
+                catch { logger.warn('Skipping unreadable feedback', { file: name }); }
+            }
+            return entries;
+        }
+    };
+}
+
+const STORES = {
+    memory: createMemoryStore,
+    file: createFileStore
+};
+
+let activeStore = null;
+
+// ─── Resolve the store selected by FEEDBACK_STORE (defaults to memory) ────────
+export function getFeedbackStore() {
+    if (activeStore) return activeStore;
+    const key = (process.env.FEEDBACK_STORE || 'memory').trim().toLowerCase();
+    const create = STORES[key];
+    if (!create) throw new Error(`Unknown FEEDBACK_STORE "${process.env.FEEDBACK_STORE}"`);
+    activeStore = create();
+    return activeStore;
+}
+
+// ─── Save a vote, replacing an earlier one on the same reply ──────────────────
+export async function saveFeedback({ feedback, sessionId, question = null }) {
+    const store = getFeedbackStore();
+    const key = feedbackKey(sessionId, feedback.requestId);
+    const now = new Date().toISOString();
+    const existing = await store.get(key);
+
+    const entry = {
+        id: existing?.id || `fb_${randomBytes(9).toString('base64url')}`,
+        key,
+        sessionId,
+        ...feedback,
+        question: question ?? existing?.question ?? null,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+    };
+    await store.save(entry);
+    return { feedback: entry, updated: Boolean(existing) };
+}
@@ -0,0 +1,204 @@
+// Human handoff tickets
+// A ticket is opened when a visitor asks for a person. It carries a copy of the
+// transcript so staff have context, and the visitor ↔ agent messages that follow.
+// The backend is chosen with HANDOFF_STORE (memory | file), mirroring history.js:
+//   save(ticket) → void,  get(id) → ticket | null,  list() → ticket[]
+//
+// Ticket: { id, sessionId, status, reason, contact, agent, createdAt, updatedAt,
+//           transcript: turn[], messages: [{ seq, role, text, author, timestamp }] }
+// status moves waiting → active (an agent replied) → closed.
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { recordTurn } from './history.js';
+import { logger } from './logger.js';
+
+export const TICKET_STATUSES = ['waiting', 'active', 'closed'];
+
+const MAX_TRANSCRIPT_TURNS = 50;
+const MAX_MESSAGES_PER_TICKET = 500;
+const MAX_TICKETS = 1000;
+
+// ─── Store: in-memory (per warm instance — fine for dev and demos) ────────────
+// Agents and visitors must hit the same instance, so use the file store (on a
+// shared volume) for anything beyond a single-server demo.
+function createMemoryStore() {
+    const tickets = new Map();
+    return {
+        name: 'memory',
+
+        async save(ticket) {
+            tickets.set(ticket.id, structuredClone(ticket));
+            if (tickets.size > MAX_TICKETS) {
+                const oldestClosed = [...tickets.values()].find(t => t.status === 'closed');
+                if (oldestClosed) tickets.delete(oldestClosed.id);
+            }
+        },
+
+        async get(id) {
+            const ticket = tickets.get(id);
+            return ticket ? structuredClone(ticket) : null;
+        },
+
+        async list() {
+            return [...tickets.values()].map(t => structuredClone(t));
+        }
+    };
+}
+
+// ─── Store: one JSON file per ticket ──────────────────────────────────────────
+function createFileStore(dir = process.env.HANDOFF_DIR || '/tmp/moonshot-handoffs') {
+    const fileFor = (id) => path.join(dir, `${id}.json`);
+    return {
+        name: 'file',
+
+        async save(ticket) {
+            await fs.mkdir(dir, { recursive: true });
+            // Write-then-rename so a concurrent poll never reads half a ticket
+            const tmp = `${fileFor(ticket.id)}.${process.pid}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(ticket), 'utf8');
+            await fs.rename(tmp, fileFor(ticket.id));
+        },
+
+        async get(id) {
+            try {
+                return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+
+        async list() {
+            let names;
+            try {
+                names = await fs.readdir(dir);
+            } catch (err) {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            }
+            const tickets = [];
+            for (const name of names.filter(n => n.endsWith('.json'))) {
+                try { tickets.push(JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'))); }
+                catch { logger.warn('Skipping unreadable handoff ticket', { file: name }); }
+            }
+            return tickets;
+        }
+    };
+}
+
+const STORES = {
+    memory: createMemoryStore,
+    file: createFileStore
+};
+
+let activeStore = null;
+
+// ─── Resolve the store selected by HANDOFF_STORE (defaults to memory) ─────────
+export function getHandoffStore() {
+    if (activeStore) return activeStore;
+    const key = (process.env.HANDOFF_STORE || 'memory').trim().toLowerCase();
+    const create = STORES[key];
+    if (!create) throw new Error(`Unknown HANDOFF_STORE "${process.env.HANDOFF_STORE}"`);
+    activeStore = create();
+    return activeStore;
+}
+
+// ─── Helper: append a message to a ticket (mutates it) ───────────────────────
+function pushMessage(ticket, { role, text, author = null }) {
+    const last = ticket.messages[ticket.messages.length - 1];
+    const message = { seq: (last?.seq || 0) + 1, role, text, author, timestamp: new Date().toISOString() };
+    ticket.messages.push(message);
+    if (ticket.messages.length > MAX_MESSAGES_PER_TICKET) ticket.messages.shift();
+    ticket.updatedAt = message.timestamp;
+    return message;
+}
+
+// ─── Open a ticket for a session, or return the one that is already open ─────
+export async function openTicket({ sessionId, reason = null, contact = null, transcript = [] }) {
+    const existing = await findOpenTicket(sessionId);
+    if (existing) return { ticket: existing, created: false };
+
+    const now = new Date().toISOString();
+    const ticket = {
+        id: `ticket_${randomBytes(9).toString('base64url')}`,
+        sessionId,
+        status: 'waiting',
+        reason,
+        contact,
+        agent: null,
+        createdAt: now,
+        updatedAt: now,
+        transcript: transcript.slice(-MAX_TRANSCRIPT_TURNS),
+        messages: []
+    };
+    pushMessage(ticket, { role: 'system', text: 'Waiting for a team member to join.' });
+    await getHandoffStore().save(ticket);
+    await recordTurn(sessionId, { role: 'system', text: 'Handoff requested', ticketId: ticket.id });
+    return { ticket, created: true };
+}
+
+export async function getTicket(id) {
+    if (typeof id !== 'string' || !/^ticket_[A-Za-z0-9_-]{1,40}$/.test(id)) return null;
+    return getHandoffStore().get(id);
+}
+
+export async function findOpenTicket(sessionId) {
+    const tickets = await getHandoffStore().list();
+    return tickets.find(t => t.sessionId === sessionId && t.status !== 'closed') || null;
+}
+
+export async function listTickets({ status } = {}) {
+    const tickets = await getHandoffStore().list();
+    return tickets
+        .filter(t => !status || t.status === status)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// ─── Add a visitor or agent message ──────────────────────────────────────────
+// The first agent message moves the ticket to "active" and names the agent.
+export async function addTicketMessage(id, { role, text, author = null }) {
+    const ticket = await getTicket(id);
+    if (!ticket) return null;
+    if (ticket.status === 'closed') throw new Error('Ticket is closed');
+
+    if (role === 'agent' && ticket.status === 'waiting') {
+        ticket.status = 'active';
+        ticket.agent = author;
+        pushMessage(ticket, { role: 'system', text: `${author || 'A team member'} joined the conversation.` });
+    }
+    const message = pushMessage(ticket, { role, text, author });
+    await getHandoffStore().save(ticket);
+    await recordTurn(ticket.sessionId, { role, text, author, ticketId: ticket.id });
+    return { ticket, message };
+}
+
+// ─── Move a ticket to a new status (agents pick up / anyone closes) ──────────
+export async function setTicketStatus(id, status, { author = null } = {}) {
+    if (!TICKET_STATUSES.includes(status)) throw new Error(`Unknown ticket status "${status}"`);
+    const ticket = await getTicket(id);
+    if (!ticket || ticket.status === status) return ticket;
+    if (ticket.status === 'closed') throw new Error('Ticket is closed');
+
+    ticket.status = status;
+    if (status === 'active') {
+        ticket.agent = author || ticket.agent;
+        pushMessage(ticket, { role: 'system', text: `${ticket.agent || 'A team member'} joined the conversation.` });
+    } else if (status === 'closed') {
+        pushMessage(ticket, { role: 'system', text: 'The conversation with our team has ended.' });
+        await recordTurn(ticket.sessionId, { role: 'system', text: 'Handoff closed', ticketId: ticket.id });
+    }
+    await getHandoffStore().save(ticket);
+    return ticket;
+}
+
+// ─── What a visitor may see: no transcript copy, only messages after a cursor ─
+export function visitorView(ticket, after = 0) {
+    return {
+        ticketId: ticket.id,
+        status: ticket.status,
+        agent: ticket.agent,
+        messages: ticket.messages.filter(m => m.seq > after)
+    };
+}
@@ -0,0 +1,97 @@
+// Conversation history store
+// Keeps every turn per session so transcripts survive the serverless request.
+// The backend is chosen with HISTORY_STORE (memory | file); both expose the same
+// async interface, so a Redis-compatible store can slot in later:
+//   append(sessionId, turn)  → void
+//   list(sessionId)          → turn[] (oldest first)
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { logger } from './logger.js';
+
+const MAX_TURNS_PER_SESSION = 200;
+
+// ─── Helper: map a session ID to a safe file name ─────────────────────────────
+function sessionFileName(sessionId) {
+    const id = String(sessionId);
+    if (/^[A-Za-z0-9_-]{1,100}$/.test(id)) return `${id}.jsonl`;
+    return `${createHash('sha256').update(id).digest('hex')}.jsonl`;
+}
+
+// ─── Store: in-memory (per warm instance — fine for dev and demos) ────────────
+function createMemoryStore() {
+    const sessions = new Map();
+    return {
+        name: 'memory',
+
+        async append(sessionId, turn) {
+            const turns = sessions.get(sessionId) || [];
+            turns.push(turn);
+            if (turns.length > MAX_TURNS_PER_SESSION) turns.splice(0, turns.length - MAX_TURNS_PER_SESSION);
+            sessions.set(sessionId, turns);
+        },
+
+        async list(sessionId) {
+            return [...(sessions.get(sessionId) || [])];
+        }
+    };
+}
+
+// ─── Store: JSON-lines files, one per session ─────────────────────────────────
+// Vercel only allows writes under /tmp; point HISTORY_DIR at a mounted volume
+// when running on a long-lived server.
+function createFileStore(dir = process.env.HISTORY_DIR || '/tmp/moonshot-history') {
+    return {
+        name: 'file',
+
+        async append(sessionId, turn) {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.appendFile(path.join(dir, sessionFileName(sessionId)), JSON.stringify(turn) + '\n', 'utf8');
+        },
+
+        async list(sessionId) {
+            let raw;
+            try {
+                raw = await fs.readFile(path.join(dir, sessionFileName(sessionId)), 'utf8');
+            } catch (err) {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            }
+            const turns = [];
+            for (const line of raw.split('\n')) {
+                if (!line.trim()) continue;
+                try { turns.push(JSON.parse(line)); }
+                catch { logger.warn('Skipping corrupt history line', { sessionId }); }
+            }
+            return turns.slice(-MAX_TURNS_PER_SESSION);
+        }
+    };
+}
+
+const STORES = {
+    memory: createMemoryStore,
+    file: createFileStore
+};
+
+let activeStore = null;
+
+// ─── Resolve the store selected by HISTORY_STORE (defaults to memory) ─────────
+export function getHistoryStore() {
+    if (activeStore) return activeStore;
+    const key = (process.env.HISTORY_STORE || 'memory').trim().toLowerCase();
+    const create = STORES[key];
+    if (!create) throw new Error(`Unknown HISTORY_STORE "${process.env.HISTORY_STORE}"`);
+    activeStore = create();
+    return activeStore;
+}
+
+// ─── Record one turn without ever failing the chat request ────────────────────
+export async function recordTurn(sessionId, turn) {
+    if (!sessionId) return;
+    try {
+        await getHistoryStore().append(sessionId, { timestamp: new Date().toISOString(), ...turn });
+    } catch (err) {
+        logger.warn('Failed to record history', { sessionId, err });
+    }
+}
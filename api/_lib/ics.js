@@ -0,0 +1,334 @@
+// Minimal iCalendar (RFC 5545) support — no dependencies
+// parseIcsEvents(text, { from, to }) reads VEVENT start/end times from a calendar
+// export, expanding recurring events across the window; buildIcsInvite(booking)
+// writes a one-event invite that mail and calendar apps import.
+
+import { logger } from './logger.js';
+
+// ─── Helper: local wall time in an IANA zone → UTC Date ───────────────────────
+// Intl gives the zone's offset at a given instant; a second pass settles DST edges.
+function zoneOffsetMs(date, timeZone) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(date).map(p => [p.type, p.value])
+    );
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = 'UTC') {
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    let utc = guess - zoneOffsetMs(new Date(guess), timeZone);
+    utc = guess - zoneOffsetMs(new Date(utc), timeZone);
+    return new Date(utc);
+}
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_RULE_PARTS = new Set(['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST']);
+const MAX_RECURRENCE_STEPS = 20000; // periods walked per series, e.g. 50+ years of daily events
+
+function unfoldLines(text) {
+    return String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function isKnownZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// "DTSTART;TZID=Europe/Berlin:20260105T090000" → { fields, zone } (wall time + zone)
+function parseIcsWallTime(params, value, defaultZone) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const fields = {
+        year: Number(year), month: Number(month), day: Number(day),
+        hour: Number(hour || 0), minute: Number(minute || 0), second: Number(second || 0)
+    };
+    if (utc) return { fields, zone: 'UTC' };
+    const tzid = params.match(/TZID=([^;:]+)/i)?.[1];
+    // An unknown TZID falls back to the booking zone
+    return { fields, zone: tzid && isKnownZone(tzid) ? tzid : defaultZone };
+}
+
+function parseIcsDate(params, value, defaultZone) {
+    const wall = parseIcsWallTime(params, value, defaultZone);
+    return wall ? zonedTimeToUtc(wall.fields, wall.zone) : null;
+}
+
+// EXDATE / RDATE hold comma-separated values; an RDATE PERIOD ("start/end") keeps its start
+function parseIcsDateList(params, value, defaultZone) {
+    return value.split(',')
+        .map(item => parseIcsDate(params, item.split('/')[0].trim(), defaultZone))
+        .filter(Boolean);
+}
+
+// "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,-1FR;UNTIL=20261231T000000Z" → rule object
+function parseRule(value, defaultZone) {
+    const parts = Object.fromEntries(value.split(';').map(part => part.split('=')).filter(([k, v]) => k && v !== undefined).map(([k, v]) => [k.toUpperCase(), v]));
+    const list = (raw) => raw ? raw.split(',').map(Number).filter(n => Number.isInteger(n) && n !== 0) : null;
+    const byDay = parts.BYDAY
+        ? parts.BYDAY.split(',').map(item => item.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/))
+            .filter(Boolean).map(([, n, day]) => ({ n: n ? Number(n) : 0, day: WEEKDAYS.indexOf(day) }))
+        : null;
+    return {
+        freq: (parts.FREQ || '').toUpperCase(),
+        interval: Math.max(1, Number(parts.INTERVAL) || 1),
+        count: Number(parts.COUNT) > 0 ? Number(parts.COUNT) : null,
+        until: parts.UNTIL ? parseIcsDate('', parts.UNTIL, defaultZone) : null,
+        byDay: byDay?.length ? byDay : null,
+        byMonthDay: list(parts.BYMONTHDAY),
+        byMonth: list(parts.BYMONTH),
+        weekStart: Math.max(0, WEEKDAYS.indexOf((parts.WKST || 'MO').toUpperCase())),
+        unsupported: Object.keys(parts).filter(part => !SUPPORTED_RULE_PARTS.has(part))
+    };
+}
+
+// ─── Helpers: calendar days as integers (days since 1970-01-01) ──────────────
+function dayNumber({ year, month, day }) {
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+function dayFields(dn) {
+    const date = new Date(dn * DAY_MS);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekday(dn) {
+    return (dn + 4) % 7; // 1970-01-01 was a Thursday
+}
+
+// Days of one month that match BYMONTHDAY / BYDAY, or the series' own day of month
+function monthDays(year, month, rule, startDay) {
+    const first = dayNumber({ year, month, day: 1 });
+    const length = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    let days;
+    if (rule.byMonthDay) {
+        days = rule.byMonthDay.map(n => first + (n > 0 ? n : length + n + 1) - 1)
+            .filter(dn => dn >= first && dn < first + length);
+        if (rule.byDay) days = days.filter(dn => rule.byDay.some(d => d.day === weekday(dn)));
+    } else if (rule.byDay) {
+        days = rule.byDay.flatMap(({ n, day }) => {
+            const matches = [];
+            for (let dn = first; dn < first + length; dn++) if (weekday(dn) === day) matches.push(dn);
+            if (!n) return matches;
+            const pick = n > 0 ? matches[n - 1] : matches[matches.length + n];
+            return pick === undefined ? [] : [pick];
+        });
+    } else {
+        days = startDay <= length ? [first + startDay - 1] : [];
+    }
+    return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// ─── Candidate days of the step-th period of a series, with the period's first day ─
+function periodDays(rule, base, step) {
+    const start = dayFields(base);
+    const inMonths = (dn) => !rule.byMonth || rule.byMonth.includes(dayFields(dn).month);
+    switch (rule.freq) {
+        case 'DAILY': {
+            const dn = base + step * rule.interval;
+            const matches = inMonths(dn)
+                && (!rule.byDay || rule.byDay.some(d => d.day === weekday(dn)))
+                && (!rule.byMonthDay || monthDays(dayFields(dn).year, dayFields(dn).month, { byMonthDay: rule.byMonthDay }).includes(dn));
+            return { first: dn, days: matches ? [dn] : [] };
+        }
+        case 'WEEKLY': {
+            const weekFirst = base - ((weekday(base) - rule.weekStart + 7) % 7) + step * 7 * rule.interval;
+            const weekdays = rule.byDay ? rule.byDay.map(d => d.day) : [weekday(base)];
+            const days = [...new Set(weekdays.map(day => weekFirst + (day - rule.weekStart + 7) % 7))].sort((a, b) => a - b);
+            return { first: weekFirst, days: days.filter(inMonths) };
+        }
+        case 'MONTHLY': {
+            const index = start.year * 12 + start.month - 1 + step * rule.interval;
+            const year = Math.floor(index / 12);
+            const month = index % 12 + 1;
+            const first = dayNumber({ year, month, day: 1 });
+            if (rule.byMonth && !rule.byMonth.includes(month)) return { first, days: [] };
+            return { first, days: monthDays(year, month, rule, start.day) };
+        }
+        case 'YEARLY': {
+            const year = start.year + step * rule.interval;
+            const months = rule.byMonth || (rule.byDay && !rule.byMonthDay ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [start.month]);
+            const expand = rule.byDay || rule.byMonthDay;
+            const days = months.flatMap(month => expand
+                ? monthDays(year, month, rule, start.day)
+                : monthDays(year, month, { byMonthDay: null, byDay: null }, start.day));
+            return { first: dayNumber({ year, month: 1, day: 1 }), days };
+        }
+        default:
+            return null;
+    }
+}
+
+// ─── Occurrence starts of a recurring event that begin before `to` ───────────
+// COUNT counts every generated occurrence, including the ones EXDATE removes.
+function expandRule(event, rule, { from, to }) {
+    const base = dayNumber(event.fields);
+    const { hour, minute, second } = event.fields;
+    const starts = [];
+    let count = 0;
+
+    for (let step = 0; step < MAX_RECURRENCE_STEPS; step++) {
+        const period = periodDays(rule, base, step);
+        if (!period) break;
+        if (zonedTimeToUtc(dayFields(period.first), event.zone) >= to) break;
+        for (const dn of period.days) {
+            if (dn < base) continue;
+            const start = zonedTimeToUtc({ ...dayFields(dn), hour, minute, second }, event.zone);
+            if ((rule.until && start > rule.until) || (rule.count && count >= rule.count) || start >= to) return starts;
+            count++;
+            if (start.getTime() + event.durationMs > from.getTime()) starts.push(start);
+        }
+    }
+    return starts;
+}
+
+// Returns [{ start: Date, end: Date, summary }] for every VEVENT that isn't cancelled.
+// With a window ({ from, to }), recurring events (RRULE / RDATE, minus EXDATE and
+// instances moved by a RECURRENCE-ID override) are expanded into each occurrence
+// that overlaps it; without one, a series only contributes its first occurrence.
+export function parseIcsEvents(text, { defaultZone = 'UTC', from, to } = {}) {
+    const parsed = [];
+    let current = null;
+    for (const line of unfoldLines(text)) {
+        if (line === 'BEGIN:VEVENT') { current = { exdates: [], rdates: [] }; continue; }
+        if (line === 'END:VEVENT') {
+            if (current?.start) parsed.push(current);
+            current = null;
+            continue;
+        }
+        if (!current) continue;
+
+        const colon = line.indexOf(':');
+        if (colon < 0) continue;
+        const [name, ...params] = line.slice(0, colon).split(';');
+        const value = line.slice(colon + 1).trim();
+        const paramText = params.join(';');
+
+        if (name === 'DTSTART') {
+            const wall = parseIcsWallTime(paramText, value, defaultZone);
+            if (!wall) continue;
+            current.fields = wall.fields;
+            current.zone = wall.zone;
+            current.start = zonedTimeToUtc(wall.fields, wall.zone);
+            current.allDay = /^\d{8}$/.test(value);
+        } else if (name === 'DTEND') {
+            current.end = parseIcsDate(paramText, value, defaultZone);
+        } else if (name === 'SUMMARY') {
+            current.summary = value;
+        } else if (name === 'STATUS') {
+            current.status = value.toUpperCase();
+        } else if (name === 'UID') {
+            current.uid = value;
+        } else if (name === 'RRULE') {
+            current.rrule = value;
+        } else if (name === 'RDATE') {
+            current.rdates.push(...parseIcsDateList(paramText, value, defaultZone));
+        } else if (name === 'EXDATE') {
+            current.exdates.push(...parseIcsDateList(paramText, value, defaultZone));
+        } else if (name === 'RECURRENCE-ID') {
+            current.recurrenceId = parseIcsDate(paramText, value, defaultZone);
+        }
+    }
+
+    // Instances moved or cancelled by an override are dropped from their series
+    const overridden = new Set(parsed
+        .filter(event => event.uid && event.recurrenceId)
+        .map(event => `${event.uid}|${event.recurrenceId.getTime()}`));
+
+    const events = [];
+    for (const event of parsed) {
+        if (event.status === 'CANCELLED') continue;
+        // A date-only DTSTART with no DTEND is a one-day event
+        event.durationMs = Math.max(0, (event.end ? event.end.getTime() : event.start.getTime() + (event.allDay ? DAY_MS : 0)) - event.start.getTime());
+        const summary = event.summary || '';
+
+        let starts = [event.start];
+        if (from && to && !event.recurrenceId && (event.rrule || event.rdates.length > 0)) {
+            starts = [];
+            if (event.rrule) {
+                const rule = parseRule(event.rrule, defaultZone);
+                if (rule.unsupported.length > 0 || !['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) {
+                    logger.warn('ICS recurrence rule only partly supported', { uid: event.uid || null, rrule: event.rrule });
+                }
+                starts.push(...(['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq) ? expandRule(event, rule, { from, to }) : [event.start]));
+            } else {
+                starts.push(event.start);
+            }
+            starts.push(...event.rdates);
+            const excluded = new Set(event.exdates.map(date => date.getTime()));
+            starts = [...new Set(starts.map(date => date.getTime()))]
+                .filter(ms => !excluded.has(ms) && !overridden.has(`${event.uid}|${ms}`))
+                .sort((a, b) => a - b)
+                .map(ms => new Date(ms));
+        }
+
+        for (const start of starts) {
+            events.push({ start, end: new Date(start.getTime() + event.durationMs), summary });
+        }
+    }
+    return events;
+}
+
+// ─── Writing ──────────────────────────────────────────────────────────────────
+function formatIcsDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines
+function foldLine(line) {
+    const chunks = [];
+    let rest = line;
+    while (Buffer.byteLength(rest) > 75) {
+        let cut = 75;
+        while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+        chunks.push(rest.slice(0, cut));
+        rest = ' ' + rest.slice(cut);
+    }
+    chunks.push(rest);
+    return chunks.join('\r\n');
+}
+
+// ─── Build a single-event invite for a booking ───────────────────────────────
+// method: REQUEST for new / rescheduled bookings, CANCEL for cancellations.
+// `sequence` must grow with every change so calendar apps replace the old copy.
+export function buildIcsInvite(booking, { method = 'REQUEST', title, description = '', organizerEmail, domain = 'moonshot.chat' } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Moonshot//Chat Booking//EN',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:${booking.id}@${domain}`,
+        `SEQUENCE:${booking.sequence || 0}`,
+        `DTSTAMP:${formatIcsDate(booking.updatedAt || new Date())}`,
+        `DTSTART:${formatIcsDate(booking.start)}`,
+        `DTEND:${formatIcsDate(booking.end)}`,
+        `SUMMARY:${escapeText(title || 'Meeting')}`,
+        `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`
+    ];
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (organizerEmail) lines.push(`ORGANIZER:mailto:${organizerEmail}`);
+    if (booking.email) {
+        // CN is a param-value: quoted, so ":", ";" and "," are safe, and DQUOTE can't appear
+        const name = booking.name ? String(booking.name).replace(/["\x00-\x1f\x7f]/g, '').trim() : '';
+        const cn = name ? `;CN="${name}"` : '';
+        lines.push(`ATTENDEE${cn};ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${booking.email}`);
+    }
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
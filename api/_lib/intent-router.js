@@ -0,0 +1,62 @@
+// Intent detection and routing for chat messages
+// The intent comes from (in order): the client (`intent` in the request, e.g. a
+// suggestion chip's metadata), then a lightweight keyword/regex classifier here.
+// Backends use it to pick a target — the n8n adapter maps intents onto separate
+// webhooks via N8N_INTENT_ROUTES. Messages without an intent use the default.
+
+export const INTENTS = ['FAQ', 'LEAD', 'BOOKING', 'OFFTOPIC'];
+
+// Checked in order — the first matching rule wins
+const DEFAULT_RULES = {
+    BOOKING: /\b(book(ing)?|schedul\w*|reschedul\w*|appointment|meeting|calendar|slots?|availab\w*|change the time)\b/i,
+    LEAD: /\b(quote|pricing|prices?|costs?|budget|hire|proposal|estimate|get started|talk to (a )?human)\b/i
+};
+
+// ─── Load classifier rules (INTENT_RULES overrides the defaults) ─────────────
+// INTENT_RULES='{"BOOKING":"book|demo","LEAD":"quote|pricing"}'
+function getRules() {
+    if (!process.env.INTENT_RULES) return DEFAULT_RULES;
+    let parsed;
+    try { parsed = JSON.parse(process.env.INTENT_RULES); }
+    catch { throw new Error('INTENT_RULES is not valid JSON'); }
+    const rules = {};
+    for (const [intent, source] of Object.entries(parsed)) {
+        const key = intent.toUpperCase();
+        if (!INTENTS.includes(key)) throw new Error(`INTENT_RULES has unknown intent "${intent}"`);
+        rules[key] = new RegExp(source, 'i');
+    }
+    return rules;
+}
+
+export function classifyIntent(message) {
+    for (const [intent, pattern] of Object.entries(getRules())) {
+        if (pattern.test(message)) return intent;
+    }
+    return null;
+}
+
+// ─── Decide the intent for one request ────────────────────────────────────────
+// Returns { intent, source } where source is 'client', 'classifier' or null.
+export function resolveIntent({ intent, message }) {
+    if (intent) return { intent: intent.toUpperCase(), source: 'client' };
+    const classified = classifyIntent(message);
+    return { intent: classified, source: classified ? 'classifier' : null };
+}
+
+// ─── Parse N8N_INTENT_ROUTES into { INTENT: url } ─────────────────────────────
+// N8N_INTENT_ROUTES='{"BOOKING":"https://n8n.example.com/webhook/booking"}'
+export function getIntentRoutes() {
+    if (!process.env.N8N_INTENT_ROUTES) return {};
+    let parsed;
+    try { parsed = JSON.parse(process.env.N8N_INTENT_ROUTES); }
+    catch { throw new Error('N8N_INTENT_ROUTES is not valid JSON'); }
+    const routes = {};
+    for (const [intent, url] of Object.entries(parsed)) {
+        const key = intent.toUpperCase();
+        if (!INTENTS.includes(key)) throw new Error(`N8N_INTENT_ROUTES has unknown intent "${intent}"`);
+        try { new URL(url); }
+        catch { throw new Error(`N8N_INTENT_ROUTES has an invalid URL for ${key}`); }
+        routes[key] = url;
+    }
+    return routes;
+}
@@ -0,0 +1,227 @@
+// Lead capture: form definitions, validation and storage
+// A bot reply may ask the widget for a structured form by returning `form` — either
+// a preset name ("quote") or { id, title, submitLabel, fields: [name | { name, label, required }] }.
+// Field names come from LEAD_FIELDS, so the server always knows how to validate a
+// submission no matter which workflow asked for the form.
+// Leads are deduplicated by email. The store is chosen with LEAD_STORE (memory | file):
+//   get(email) → lead | null,  save(lead) → void,  list() → lead[]
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { createHash, randomBytes } from 'node:crypto';
+import { validate } from './schema.js';
+import { logger } from './logger.js';
+
+// ─── Field catalog ────────────────────────────────────────────────────────────
+export const LEAD_FIELDS = {
+    name: { label: 'Name', type: 'text', maxLength: 100 },
+    email: { label: 'Email', type: 'email', maxLength: 200, required: true },
+    company: { label: 'Company', type: 'text', maxLength: 120 },
+    phone: { label: 'Phone', type: 'tel', maxLength: 40 },
+    budget: { label: 'Budget', type: 'select', options: ['Under $5k', '$5k–$15k', '$15k–$50k', '$50k+', 'Not sure yet'] },
+    timeline: { label: 'Timeline', type: 'select', options: ['ASAP', '1–3 months', '3–6 months', 'Just exploring'] },
+    message: { label: 'Project details', type: 'textarea', maxLength: 1000 }
+};
+
+const FORM_PRESETS = {
+    quote: {
+        id: 'quote',
+        title: 'Tell us about your project',
+        submitLabel: 'Request a quote',
+        fields: [{ name: 'name', required: true }, 'email', 'company', 'budget', 'timeline', 'message']
+    },
+    contact: {
+        id: 'contact',
+        title: 'How can we reach you?',
+        submitLabel: 'Send',
+        fields: [{ name: 'name', required: true }, 'email', 'phone']
+    }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+export function isValidEmail(value) {
+    return typeof value === 'string' && EMAIL_PATTERN.test(value);
+}
+
+// ─── Turn a backend form request into a full form definition ─────────────────
+// Unknown fields are dropped and email is always included (it is the dedupe key).
+// Returns null when the request can't be understood.
+export function buildLeadForm(spec) {
+    const source = typeof spec === 'string' ? FORM_PRESETS[spec.trim().toLowerCase()] : spec;
+    if (!source || typeof source !== 'object' || !Array.isArray(source.fields)) return null;
+
+    const fields = [];
+    for (const entry of source.fields) {
+        const { name, ...overrides } = typeof entry === 'string' ? { name: entry } : (entry || {});
+        const base = LEAD_FIELDS[name];
+        if (!base || fields.some(f => f.name === name)) continue;
+        fields.push({
+            name,
+            ...base,
+            label: typeof overrides.label === 'string' && overrides.label.trim() ? overrides.label.trim().slice(0, 60) : base.label,
+            required: name === 'email' || Boolean(overrides.required ?? base.required)
+        });
+    }
+    if (!fields.some(f => f.name === 'email')) fields.push({ name: 'email', ...LEAD_FIELDS.email });
+
+    return {
+        id: String(source.id || 'lead').slice(0, 40),
+        title: String(source.title || 'Share your details').slice(0, 120),
+        submitLabel: String(source.submitLabel || 'Send').slice(0, 40),
+        fields
+    };
+}
+
+// ─── Submission schema (built from the catalog) ───────────────────────────────
+export const leadSubmissionSchema = {
+    type: 'object',
+    required: ['fields'],
+    properties: {
+        formId: { type: 'string', maxLength: 40 },
+        fields: {
+            type: 'object',
+            required: ['email'],
+            additionalProperties: false,
+            properties: Object.fromEntries(Object.entries(LEAD_FIELDS).map(([name, field]) => [name, {
+                type: 'string',
+                maxLength: field.maxLength || 100,
+                ...(field.options ? { enum: ['', ...field.options] } : {})
+            }]))
+        }
+    }
+};
+
+// Returns { lead fields, errors } with strings trimmed and the email lower-cased
+export function validateLeadSubmission(body) {
+    const errors = validate(leadSubmissionSchema, body ?? null);
+    if (errors.length > 0) return { errors };
+
+    const fields = {};
+    for (const [name, value] of Object.entries(body.fields)) {
+        const trimmed = value.trim();
+        if (trimmed) fields[name] = trimmed;
+    }
+    if (!isValidEmail(fields.email)) return { errors: ['$.fields.email: must be a valid email address'] };
+    fields.email = fields.email.toLowerCase();
+    return { fields, errors: [] };
+}
+
+// ─── Helper: email → store key ────────────────────────────────────────────────
+function emailKey(email) {
+    return createHash('sha256').update(email).digest('hex');
+}
+
+// ─── Store: in-memory (per warm instance — fine for dev and demos) ────────────
+function createMemoryStore() {
+    const leads = new Map();
+    return {
+        name: 'memory',
+        async get(email) {
+            const lead = leads.get(emailKey(email));
+            return lead ? structuredClone(lead) : null;
+        },
+        async save(lead) {
+            leads.set(emailKey(lead.email), structuredClone(lead));
+        },
+        async list() {
+            return [...leads.values()].map(lead => structuredClone(lead));
+        }
+    };
+}
+
+// ─── Store: one JSON file per email address ──────────────────────────────────
+function createFileStore(dir = process.env.LEAD_DIR || '/tmp/moonshot-leads') {
+    const fileFor = (email) => path.join(dir, `${emailKey(email)}.json`);
+    return {
+        name: 'file',
+        async get(email) {
+            try {
+                return JSON.parse(await fs.readFile(fileFor(email), 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+        async save(lead) {
+            await fs.mkdir(dir, { recursive: true });
+            const tmp = `${fileFor(lead.email)}.${process.pid}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(lead), 'utf8');
+            await fs.rename(tmp, fileFor(lead.email));
+        },
+        async list() {
+            let names;
+            try {
+                names = await fs.readdir(dir);
+            } catch (err) {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            }
+            const leads = [];
+            for (const name of names.filter(n => n.endsWith('.json'))) {
+                try { leads.push(JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'))); }
+                catch { logger.warn('Skipping unreadable lead', { file: name }); }
+            }
+            return leads;
+        }
+    };
+}
+
+const STORES = {
+    memory: createMemoryStore,
+    file: createFileStore
+};
+
+let activeStore = null;
+
+// ─── Resolve the store selected by LEAD_STORE (defaults to memory) ────────────
+export function getLeadStore() {
+    if (activeStore) return activeStore;
+    const key = (process.env.LEAD_STORE || 'memory').trim().toLowerCase();
+    const create = STORES[key];
+    if (!create) throw new Error(`Unknown LEAD_STORE "${process.env.LEAD_STORE}"`);
+    activeStore = create();
+    return activeStore;
+}
+
+// ─── Save a submission, merging it into an earlier lead with the same email ──
+// The session that created a lead may update it (later non-empty answers win).
+// Any other session only fills fields the lead doesn't have yet, so knowing
+// someone's email is not enough to rewrite their details. Every session that
+// submitted is kept. `changed` is false when the submission added nothing.
+export async function upsertLead({ fields, formId = null, sessionId }) {
+    const store = getLeadStore();
+    const now = new Date().toISOString();
+    const existing = await store.get(fields.email);
+
+    let lead;
+    let changed = true;
+    if (existing) {
+        const owner = existing.sessionIds[0] === sessionId;
+        const updates = Object.fromEntries(
+            Object.entries(fields).filter(([name, value]) => owner ? existing[name] !== value : existing[name] == null)
+        );
+        changed = Object.keys(updates).length > 0;
+        lead = {
+            ...existing,
+            ...updates,
+            formIds: [...new Set([...existing.formIds, formId].filter(Boolean))],
+            sessionIds: [...new Set([...existing.sessionIds, sessionId])],
+            submissions: existing.submissions + 1,
+            updatedAt: now
+        };
+    } else {
+        lead = {
+            id: `lead_${randomBytes(9).toString('base64url')}`,
+            ...fields,
+            formIds: formId ? [formId] : [],
+            sessionIds: [sessionId],
+            submissions: 1,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    await store.save(lead);
+    return { lead, duplicate: Boolean(existing), changed };
+}
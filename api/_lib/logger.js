@@ -0,0 +1,45 @@
+// Structured JSON logging for the API routes
+// Every line is one JSON object: { time, level, msg, ...context, ...fields }.
+// Route handlers create a child logger carrying requestId / sessionId so every
+// line for one chat message can be found with a single filter.
+
+import { randomUUID } from 'node:crypto';
+
+const SINKS = {
+    debug: console.debug,
+    info: console.log,
+    warn: console.warn,
+    error: console.error
+};
+
+// Errors don't survive JSON.stringify — keep the useful parts
+function serialize(fields) {
+    const out = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+        if (value === undefined) continue;
+        out[key] = value instanceof Error ? { name: value.name, message: value.message, code: value.code } : value;
+    }
+    return out;
+}
+
+export function createLogger(context = {}) {
+    const write = (level, msg, fields) => {
+        SINKS[level](JSON.stringify({ time: new Date().toISOString(), level, msg, ...context, ...serialize(fields) }));
+    };
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        child: (fields) => createLogger({ ...context, ...serialize(fields) })
+    };
+}
+
+export const logger = createLogger({ service: 'moonshot-api' });
+
+// ─── Request ID: reuse the client's X-Request-Id when sane, else mint one ─────
+export function getRequestId(req) {
+    const given = req.headers?.['x-request-id'];
+    if (typeof given === 'string' && /^[A-Za-z0-9._:-]{8,100}$/.test(given)) return given;
+    return randomUUID();
+}
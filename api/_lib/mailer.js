@@ -0,0 +1,112 @@
+// Outgoing email: staff notifications and transcripts sent to visitors
+// The provider is chosen with EMAIL_PROVIDER; every provider exposes the same shape:
+//   name, missingConfig() → env var name | null, send({ to, subject, text, replyTo? }) → void
+// resend talks to the Resend HTTP API, smtp to any SMTP relay, and file writes each
+// message as an .eml file instead of sending it (for local testing).
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { buildMimeMessage, sendSmtpMail } from './smtp.js';
+import { fetchWithTimeout } from './upstream.js';
+
+const RESEND_URL = 'https://api.resend.com/emails';
+
+// ─── Provider: Resend (https://resend.com) ────────────────────────────────────
+const resendProvider = {
+    name: 'resend',
+
+    missingConfig() {
+        if (!process.env.RESEND_API_KEY) return 'RESEND_API_KEY';
+        if (!process.env.EMAIL_FROM) return 'EMAIL_FROM';
+        return null;
+    },
+
+    async send({ to, subject, text, replyTo }) {
+        const response = await fetchWithTimeout(RESEND_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${process.env.RESEND_API_KEY}`
+            },
+            body: JSON.stringify({
+                from: process.env.EMAIL_FROM,
+                to: recipientList(to),
+                subject,
+                text,
+                reply_to: replyTo || undefined
+            })
+        }, 10000);
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`Resend error ${response.status}: ${detail.slice(0, 200)}`);
+        }
+    }
+};
+
+// Comma-separated "to" → array of addresses
+function recipientList(to) {
+    return Array.isArray(to) ? to : String(to).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// ─── Provider: SMTP relay (SMTP_HOST, SMTP_PORT, SMTP_USER / SMTP_PASS) ───────
+const smtpProvider = {
+    name: 'smtp',
+
+    missingConfig() {
+        if (!process.env.SMTP_HOST) return 'SMTP_HOST';
+        if (!process.env.EMAIL_FROM) return 'EMAIL_FROM';
+        return null;
+    },
+
+    async send({ to, subject, text, replyTo }) {
+        const port = Number(process.env.SMTP_PORT) || 587;
+        const recipients = recipientList(to);
+        await sendSmtpMail(
+            {
+                from: process.env.EMAIL_FROM,
+                to: recipients,
+                message: buildMimeMessage({ from: process.env.EMAIL_FROM, to: recipients, subject, text, replyTo })
+            },
+            {
+                host: process.env.SMTP_HOST,
+                port,
+                // Port 465 speaks TLS from the start; others upgrade with STARTTLS when offered
+                secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS,
+                allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true'
+            }
+        );
+    }
+};
+
+// ─── Provider: file drop (one .eml per message in EMAIL_DROP_DIR) ─────────────
+const fileProvider = {
+    name: 'file',
+
+    missingConfig() {
+        return null;
+    },
+
+    async send({ to, subject, text, replyTo }) {
+        const dir = process.env.EMAIL_DROP_DIR || '/tmp/moonshot-mail';
+        const from = process.env.EMAIL_FROM || 'Moonshot Chat <chat@localhost>';
+        await fs.mkdir(dir, { recursive: true });
+        const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${randomBytes(4).toString('hex')}.eml`;
+        await fs.writeFile(path.join(dir, name), buildMimeMessage({ from, to: recipientList(to), subject, text, replyTo }), 'utf8');
+    }
+};
+
+const PROVIDERS = {
+    resend: resendProvider,
+    smtp: smtpProvider,
+    file: fileProvider
+};
+
+// ─── Resolve the provider selected by EMAIL_PROVIDER (defaults to resend) ─────
+export function getMailer(name = process.env.EMAIL_PROVIDER || 'resend') {
+    const provider = PROVIDERS[String(name).trim().toLowerCase()];
+    if (!provider) throw new Error(`Unknown EMAIL_PROVIDER "${name}"`);
+    return provider;
+}
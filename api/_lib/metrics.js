@@ -0,0 +1,98 @@
+// Operational metrics for the API routes
+// A small in-memory registry of counters and latency histograms, rendered as
+// Prometheus text or JSON by /api/metrics. Values are per warm instance and
+// reset on cold start — scrape often and let Prometheus aggregate.
+
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+// ─── Metric definitions ───────────────────────────────────────────────────────
+const DEFINITIONS = {
+    chat_requests_total: { type: 'counter', help: 'Chat requests by HTTP status and error code' },
+    chat_request_duration_seconds: { type: 'histogram', help: 'End-to-end /api/chat latency' },
+    chat_cache_hits_total: { type: 'counter', help: 'Chat replies served from the proxy cache' },
+    chat_cache_misses_total: { type: 'counter', help: 'Chat requests that went to the backend' },
+    chat_degraded_total: { type: 'counter', help: 'Chat replies served in degraded mode (circuit open)' },
+    chat_feedback_total: { type: 'counter', help: 'Thumbs up/down votes on bot replies by rating' },
+    upstream_request_duration_seconds: { type: 'histogram', help: 'Latency of each upstream attempt' },
+    upstream_retries_total: { type: 'counter', help: 'Upstream attempts that were retried by fetchWithRetry' },
+    upstream_timeouts_total: { type: 'counter', help: 'Upstream attempts aborted by the timeout' },
+    transcribe_requests_total: { type: 'counter', help: 'Transcription requests by HTTP status' },
+    transcribe_empty_transcripts_total: { type: 'counter', help: 'Deepgram responses with an empty transcript' }
+};
+
+const series = new Map(); // name → Map(labelKey → { labels, value | buckets/sum/count })
+
+function labelKey(labels) {
+    return Object.keys(labels).sort().map(k => `${k}=${labels[k]}`).join(',');
+}
+
+function getSeries(name, labels) {
+    const def = DEFINITIONS[name];
+    if (!def) throw new Error(`Unknown metric "${name}"`);
+    if (!series.has(name)) series.set(name, new Map());
+    const byLabels = series.get(name);
+    const key = labelKey(labels);
+    if (!byLabels.has(key)) {
+        byLabels.set(key, def.type === 'histogram'
+            ? { labels, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }
+            : { labels, value: 0 });
+    }
+    return byLabels.get(key);
+}
+
+export function incrementCounter(name, labels = {}, by = 1) {
+    getSeries(name, labels).value += by;
+}
+
+export function observeHistogram(name, labels = {}, value) {
+    const entry = getSeries(name, labels);
+    LATENCY_BUCKETS.forEach((bound, i) => { if (value <= bound) entry.buckets[i]++; });
+    entry.sum += value;
+    entry.count++;
+}
+
+// ─── Renderers ────────────────────────────────────────────────────────────────
+function formatLabels(labels, extra = {}) {
+    const all = { ...labels, ...extra };
+    const parts = Object.keys(all).map(k => `${k}="${String(all[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+export function renderPrometheus() {
+    const lines = [];
+    for (const [name, def] of Object.entries(DEFINITIONS)) {
+        lines.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} ${def.type}`);
+        for (const entry of series.get(name)?.values() || []) {
+            if (def.type === 'counter') {
+                lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+                continue;
+            }
+            LATENCY_BUCKETS.forEach((bound, i) => {
+                lines.push(`${name}_bucket${formatLabels(entry.labels, { le: bound })} ${entry.buckets[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels(entry.labels, { le: '+Inf' })} ${entry.count}`);
+            lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+            lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+export function renderJson() {
+    const out = {};
+    for (const [name, def] of Object.entries(DEFINITIONS)) {
+        out[name] = {
+            type: def.type,
+            help: def.help,
+            series: [...(series.get(name)?.values() || [])].map(entry => def.type === 'counter'
+                ? { labels: entry.labels, value: entry.value }
+                : {
+                    labels: entry.labels,
+                    count: entry.count,
+                    sum: entry.sum,
+                    buckets: LATENCY_BUCKETS.map((le, i) => ({ le, count: entry.buckets[i] }))
+                })
+        };
+    }
+    return { generatedAt: new Date().toISOString(), metrics: out };
+}
@@ -0,0 +1,57 @@
+// Staff notifications for events that need a person (handoffs, ...)
+// Each event can go to a webhook (Slack/Teams/n8n-compatible JSON with a "text"
+// field) and/or an email address; the caller passes the targets it has configured.
+// Delivery is best-effort: failures are logged and reported, never thrown.
+
+import { getMailer } from './mailer.js';
+import { fetchWithTimeout } from './upstream.js';
+import { logger } from './logger.js';
+
+async function postWebhook(url, body) {
+    const response = await fetchWithTimeout(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    }, 10000);
+    await response.body?.cancel();
+    if (!response.ok) throw new Error(`Webhook error ${response.status}`);
+}
+
+// ─── Send one event to every configured channel ──────────────────────────────
+// Returns { webhook, email } — true when delivered, false when it failed,
+// undefined when that channel isn't configured.
+export async function notifyStaff({ event, subject, text, data = {} }, { webhookUrl, emailTo, log = logger } = {}) {
+    const result = {};
+    const deliveries = [];
+
+    if (webhookUrl) {
+        deliveries.push(
+            postWebhook(webhookUrl, { event, text: `${subject}\n\n${text}`, ...data })
+                .then(() => { result.webhook = true; })
+                .catch(err => {
+                    result.webhook = false;
+                    log.warn('staff webhook failed', { event, err });
+                })
+        );
+    }
+
+    if (emailTo) {
+        deliveries.push(
+            Promise.resolve()
+                .then(() => {
+                    const mailer = getMailer();
+                    const missing = mailer.missingConfig();
+                    if (missing) throw new Error(`${missing} not configured (EMAIL_PROVIDER=${mailer.name})`);
+                    return mailer.send({ to: emailTo, subject, text });
+                })
+                .then(() => { result.email = true; })
+                .catch(err => {
+                    result.email = false;
+                    log.warn('staff email failed', { event, err });
+                })
+        );
+    }
+
+    await Promise.all(deliveries);
+    return result;
+}
@@ -0,0 +1,95 @@
+// Token-bucket rate limiter for the API routes
+// Buckets are keyed by client IP and by sessionId, or by a caller-chosen `key`
+// (e.g. a hashed email recipient) in place of the IP; a request must find a token
+// in every bucket it maps to. Limits come from env as "<requests>/<seconds>", e.g.
+// CHAT_RATE_LIMIT=20/60 allows a burst of 20 that refills over 60 seconds.
+// Set a limit to "off" to disable it. State lives in memory per warm instance.
+
+const DEFAULT_LIMITS = {
+    chat: { env: 'CHAT_RATE_LIMIT', value: '20/60' },
+    transcribe: { env: 'TRANSCRIBE_RATE_LIMIT', value: '10/60' },
+    session: { env: 'SESSION_RATE_LIMIT', value: '10/60' },
+    handoff: { env: 'HANDOFF_RATE_LIMIT', value: '20/60' },
+    leads: { env: 'LEADS_RATE_LIMIT', value: '5/60' },
+    booking: { env: 'BOOKING_RATE_LIMIT', value: '10/60' },
+    upload: { env: 'UPLOAD_RATE_LIMIT', value: '10/60' },
+    feedback: { env: 'FEEDBACK_RATE_LIMIT', value: '20/60' },
+    transcript: { env: 'TRANSCRIPT_RATE_LIMIT', value: '3/600' },
+    transcriptRecipient: { env: 'TRANSCRIPT_RECIPIENT_LIMIT', value: '3/86400' }
+};
+
+const MAX_BUCKETS = 5000;
+const buckets = new Map();
+
+// ─── Helper: parse "<requests>/<seconds>" into a bucket spec ─────────────────
+function parseLimit(raw) {
+    if (!raw || raw.trim().toLowerCase() === 'off') return null;
+    const match = raw.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) {
+        throw new Error(`Invalid rate limit "${raw}" — expected "<requests>/<seconds>"`);
+    }
+    const capacity = Number(match[1]);
+    return { capacity, refillPerMs: capacity / (Number(match[2]) * 1000) };
+}
+
+function getLimit(scope) {
+    const def = DEFAULT_LIMITS[scope];
+    if (!def) throw new Error(`Unknown rate limit scope "${scope}"`);
+    return parseLimit(process.env[def.env] ?? def.value);
+}
+
+// ─── Helper: top a bucket up for the time elapsed since it was last touched ───
+function refill(key, limit, now) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+        bucket = { tokens: limit.capacity, updatedAt: now };
+        buckets.set(key, bucket);
+    } else {
+        bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) * limit.refillPerMs);
+        bucket.updatedAt = now;
+    }
+    return bucket;
+}
+
+// ─── Helper: forget idle (full) buckets so memory stays bounded ──────────────
+function prune(now) {
+    if (buckets.size < MAX_BUCKETS) return;
+    for (const [key, bucket] of buckets) {
+        const scope = key.split(':')[0];
+        const limit = getLimit(scope);
+        if (!limit || bucket.tokens + (now - bucket.updatedAt) * limit.refillPerMs >= limit.capacity) {
+            buckets.delete(key);
+        }
+    }
+}
+
+// ─── Best-effort client IP behind Vercel / other proxies ─────────────────────
+export function getClientIp(req) {
+    const forwarded = req.headers?.['x-forwarded-for'];
+    if (forwarded) return String(forwarded).split(',')[0].trim();
+    return req.headers?.['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+// ─── Take one token for this request ─────────────────────────────────────────
+// Returns null when the request may proceed, or { retryAfter } (whole seconds)
+// when any of its buckets is empty. Nothing is consumed from a rejected request.
+export function takeToken(scope, { ip, sessionId, key } = {}) {
+    const limit = getLimit(scope);
+    if (!limit) return null;
+
+    const now = Date.now();
+    prune(now);
+
+    const keys = [key ? `${scope}:key:${key}` : `${scope}:ip:${ip || 'unknown'}`];
+    if (sessionId) keys.push(`${scope}:session:${sessionId}`);
+
+    const held = keys.map(key => refill(key, limit, now));
+    const empty = held.filter(bucket => bucket.tokens < 1);
+    if (empty.length > 0) {
+        const waitMs = Math.max(...empty.map(bucket => (1 - bucket.tokens) / limit.refillPerMs));
+        return { retryAfter: Math.max(1, Math.ceil(waitMs / 1000)) };
+    }
+
+    held.forEach(bucket => { bucket.tokens -= 1; });
+    return null;
+}
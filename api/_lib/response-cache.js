@@ -0,0 +1,93 @@
+// Proxy-level response cache for repeated questions
+// Keyed on the backend name + normalized message text, so "Our services",
+// "our services?" and "  OUR   SERVICES " share one entry. Entries expire after
+// CHAT_CACHE_TTL seconds (0 disables the cache). State lives in memory per warm
+// instance; the n8n workflow keeps its own cacheKey-based cache behind this one.
+
+const MAX_ENTRIES = 500;
+
+// Follow-ups like "Tell me more" depend on the conversation, never cache them
+const CONTEXTUAL_PATTERN = /\b(more|that|this|it|again|above|previous|else)\b/i;
+
+const entries = new Map();
+
+function getTtlMs() {
+    const ttl = Number(process.env.CHAT_CACHE_TTL ?? 600);
+    return Number.isFinite(ttl) && ttl > 0 ? ttl * 1000 : 0;
+}
+
+function getMaxChars() {
+    return Number(process.env.CHAT_CACHE_MAX_CHARS) || 120;
+}
+
+// ─── Normalize a message into its cache form ──────────────────────────────────
+export function normalizeMessage(message) {
+    return String(message)
+        .toLowerCase()
+        .normalize('NFKC')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function cacheKey(backend, message) {
+    return `${backend}:${normalizeMessage(message)}`;
+}
+
+function isCacheable(message) {
+    const text = normalizeMessage(message);
+    return Boolean(text) && text.length <= getMaxChars() && !CONTEXTUAL_PATTERN.test(text);
+}
+
+// ─── Look up a fresh reply (refreshes its recency on a hit) ───────────────────
+export function getCachedReply(backend, message) {
+    if (!getTtlMs() || !isCacheable(message)) return null;
+    const key = cacheKey(backend, message);
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.reply;
+}
+
+// ─── Store a reply, evicting the least recently used entry when full ─────────
+export function setCachedReply(backend, message, reply) {
+    const ttlMs = getTtlMs();
+    if (!ttlMs || !isCacheable(message) || !reply?.response) return;
+    const key = cacheKey(backend, message);
+    entries.delete(key);
+    entries.set(key, {
+        reply: {
+            response: reply.response,
+            suggestions: reply.suggestions || [],
+            form: reply.form,
+            slotPicker: reply.slotPicker,
+            blocks: reply.blocks
+        },
+        expiresAt: Date.now() + ttlMs
+    });
+    if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+}
+
+// ─── Drop one message's entries (any backend), or everything ─────────────────
+// Returns the number of entries removed.
+export function invalidateCache(message) {
+    if (message === undefined || message === null || message === '') {
+        const count = entries.size;
+        entries.clear();
+        return count;
+    }
+    const suffix = `:${normalizeMessage(message)}`;
+    let count = 0;
+    for (const key of [...entries.keys()]) {
+        if (key.endsWith(suffix)) {
+            entries.delete(key);
+            count++;
+        }
+    }
+    return count;
+}
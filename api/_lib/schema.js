@@ -0,0 +1,68 @@
+// Minimal JSON-schema-style validator (no dependencies)
+// Supports: type, enum, required, properties, additionalProperties (false),
+// minLength, maxLength, minimum, maximum, items, maxItems.
+// validate() returns a list of "path: problem" strings — empty means valid.
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(expected, value) {
+    const actual = typeOf(value);
+    const types = Array.isArray(expected) ? expected : [expected];
+    return types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+export function validate(schema, value, path = '$') {
+    const errors = [];
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        errors.push(`${path}: expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`);
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push(`${path}: must not be shorter than ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path}: must not be longer than ${schema.maxLength} characters`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: must not have more than ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+        }
+        for (const [key, child] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) errors.push(...validate(child, value[key], `${path}.${key}`));
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!Object.hasOwn(schema.properties ?? {}, key)) errors.push(`${path}.${key}: is not allowed`);
+            }
+        }
+    }
+
+    return errors;
+}
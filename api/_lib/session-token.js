@@ -0,0 +1,66 @@
+// Signed chat session tokens
+// Format: base64url(JSON { sid, iat, exp }) + "." + base64url(HMAC-SHA256)
+// keyed with SESSION_SECRET. Tokens live SESSION_TTL seconds (default 24h) and
+// can be refreshed — keeping the same sid — up to REFRESH_GRACE_MS after expiry.
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+const REFRESH_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
+
+function getSecret() {
+    return process.env.SESSION_SECRET || null;
+}
+
+function getTtlMs() {
+    const ttl = Number(process.env.SESSION_TTL);
+    return (Number.isFinite(ttl) && ttl > 0 ? ttl : 24 * 60 * 60) * 1000;
+}
+
+function sign(encodedPayload, secret) {
+    return createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+export function isSessionConfigured() {
+    return Boolean(getSecret());
+}
+
+// ─── Issue a token for an existing sid, or a brand-new session ───────────────
+export function issueSessionToken(sid = `session_${Date.now()}_${randomBytes(9).toString('base64url')}`) {
+    const secret = getSecret();
+    if (!secret) throw new Error('SESSION_SECRET not configured');
+    const now = Date.now();
+    const payload = { sid, iat: now, exp: now + getTtlMs() };
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { token: `${encoded}.${sign(encoded, secret)}`, sessionId: sid, expiresAt: new Date(payload.exp).toISOString() };
+}
+
+// ─── Verify a token ───────────────────────────────────────────────────────────
+// Returns { sid, exp } for a valid token, or null. With allowExpired, tokens
+// inside the refresh grace window are accepted too.
+export function verifySessionToken(token, { allowExpired = false } = {}) {
+    const secret = getSecret();
+    if (!secret || typeof token !== 'string') return null;
+
+    const [encoded, signature, extra] = token.split('.');
+    if (!encoded || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(encoded, secret));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+    let payload;
+    try { payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8')); }
+    catch { return null; }
+    if (typeof payload?.sid !== 'string' || typeof payload?.exp !== 'number') return null;
+
+    const deadline = allowExpired ? payload.exp + REFRESH_GRACE_MS : payload.exp;
+    if (Date.now() >= deadline) return null;
+
+    return { sid: payload.sid, exp: payload.exp };
+}
+
+// ─── Read and verify "Authorization: Bearer <token>" from a request ──────────
+export function getRequestSession(req) {
+    const match = String(req.headers?.authorization || '').match(/^Bearer\s+(.+)$/i);
+    return match ? verifySessionToken(match[1].trim()) : null;
+}
@@ -0,0 +1,168 @@
+// Minimal SMTP client for the mailer (no dependencies)
+// Speaks just enough of RFC 5321 to hand one message to a relay: EHLO, STARTTLS
+// (or implicit TLS on port 465), AUTH PLAIN, MAIL / RCPT / DATA and QUIT.
+// buildMimeMessage() renders the plain-text message both the SMTP and the
+// file-drop providers send.
+
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import { randomBytes } from 'node:crypto';
+
+// ─── Helper: RFC 2047 encoded-word for non-ASCII header values ────────────────
+function encodeHeader(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+// "Name <address>" → bare address for the envelope
+export function mailboxAddress(value) {
+    const match = String(value).match(/<([^<>\s]+)>\s*$/);
+    return (match ? match[1] : String(value)).trim();
+}
+
+// ─── Render a plain-text message (base64 body, so any line length and charset is safe) ─
+export function buildMimeMessage({ from, to, subject, text, replyTo }) {
+    const recipients = [].concat(to);
+    const domain = mailboxAddress(from).split('@')[1] || 'localhost';
+    const nameMatch = String(from).match(/^\s*([^<]+?)\s*<[^<>]+>\s*$/);
+    const fromHeader = nameMatch ? `${encodeHeader(nameMatch[1])} <${mailboxAddress(from)}>` : mailboxAddress(from);
+    const headers = [
+        `From: ${fromHeader}`,
+        `To: ${recipients.map(mailboxAddress).join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${randomBytes(12).toString('hex')}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ];
+    if (replyTo) headers.splice(2, 0, `Reply-To: ${mailboxAddress(replyTo)}`);
+    const body = Buffer.from(String(text).replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+// ─── Connection: one reply at a time, multi-line replies joined ──────────────
+function openConnection(socket, timeoutMs) {
+    let buffer = '';
+    let lines = [];
+    let waiting = null;
+    let failure = null;
+
+    const settle = () => {
+        if (!waiting) return;
+        if (failure) {
+            waiting.reject(failure);
+            waiting = null;
+            return;
+        }
+        const last = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (last === -1) return;
+        const reply = lines.splice(0, last + 1);
+        const code = Number(reply[last].slice(0, 3));
+        const { resolve } = waiting;
+        waiting = null;
+        resolve({ code, lines: reply.map(line => line.slice(4)) });
+    };
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        const parts = buffer.split('\r\n');
+        buffer = parts.pop();
+        lines.push(...parts);
+        settle();
+    };
+    const onError = (err) => {
+        failure = failure || err;
+        settle();
+    };
+
+    const attach = (s) => {
+        s.setTimeout(timeoutMs, () => s.destroy(new Error('SMTP timeout')));
+        s.on('data', onData);
+        s.on('error', onError);
+        s.on('close', () => onError(new Error('SMTP connection closed')));
+    };
+    attach(socket);
+
+    return {
+        socket,
+        read() {
+            return new Promise((resolve, reject) => {
+                waiting = { resolve, reject };
+                settle();
+            });
+        },
+        async command(line, expected) {
+            this.socket.write(`${line}\r\n`);
+            return this.expect(expected, line.split(' ')[0]);
+        },
+        async expect(expected, label) {
+            const reply = await this.read();
+            if (!expected.includes(reply.code)) {
+                throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ').slice(0, 200)}`);
+            }
+            return reply;
+        },
+        // STARTTLS: the same connection continues encrypted
+        async upgrade(host) {
+            this.socket.removeAllListeners('data');
+            this.socket.removeAllListeners('error');
+            this.socket.removeAllListeners('close');
+            this.socket.setTimeout(0);
+            buffer = '';
+            lines = [];
+            const secure = tls.connect({ socket: this.socket, servername: host });
+            await new Promise((resolve, reject) => {
+                secure.once('secureConnect', resolve);
+                secure.once('error', reject);
+            });
+            attach(secure);
+            this.socket = secure;
+        }
+    };
+}
+
+// ─── Send one message through an SMTP relay ───────────────────────────────────
+// options: { host, port, secure, user, pass, allowInsecureAuth, timeoutMs }
+// Credentials only go out over TLS (implicit or STARTTLS) unless allowInsecureAuth
+// is set, which is meant for a relay on localhost or a private network.
+export async function sendSmtpMail({ from, to, message }, { host, port = 587, secure = port === 465, user, pass, allowInsecureAuth = false, timeoutMs = 15000 }) {
+    const socket = secure
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port });
+    const conn = openConnection(socket, timeoutMs);
+
+    try {
+        await conn.expect([220], 'greeting');
+        const hello = `EHLO ${os.hostname() || 'localhost'}`;
+        const ehlo = await conn.command(hello, [250]);
+
+        let encrypted = secure;
+        if (!secure && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+            await conn.command('STARTTLS', [220]);
+            await conn.upgrade(host);
+            await conn.command(hello, [250]);
+            encrypted = true;
+        }
+
+        if (user) {
+            if (!encrypted && !allowInsecureAuth) {
+                throw new Error(`SMTP server ${host}:${port} offers no TLS; refusing to send credentials in the clear (set SMTP_ALLOW_INSECURE_AUTH=true for a trusted local relay)`);
+            }
+            const token = Buffer.from(`\0${user}\0${pass || ''}`, 'utf8').toString('base64');
+            await conn.command(`AUTH PLAIN ${token}`, [235]);
+        }
+
+        await conn.command(`MAIL FROM:<${mailboxAddress(from)}>`, [250]);
+        for (const recipient of [].concat(to)) {
+            await conn.command(`RCPT TO:<${mailboxAddress(recipient)}>`, [250, 251]);
+        }
+        await conn.command('DATA', [354]);
+        // Dot-stuffing: a line starting with "." gets a second one
+        conn.socket.write(`${message.replace(/^\./gm, '..')}\r\n.\r\n`);
+        await conn.expect([250], 'DATA');
+        await conn.command('QUIT', [221]).catch(() => {});
+    } finally {
+        conn.socket.destroy();
+    }
+}
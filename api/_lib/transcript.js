@@ -0,0 +1,73 @@
+// Plain-text transcript of a session's recorded history, and the signed links
+// that confirm a recipient before one is emailed
+// Used by /api/transcript/email; the widget builds its downloads (text, Markdown,
+// JSON) from the conversation it has on screen.
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+const CONFIRM_TTL_MS = 24 * 60 * 60 * 1000;
+
+const SPEAKERS = {
+    user: 'You',
+    assistant: 'Moonshot Assistant',
+    agent: 'Moonshot team',
+    system: 'Note'
+};
+
+function formatTimestamp(iso) {
+    const date = new Date(iso);
+    return Number.isNaN(date.getTime()) ? '' : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+// ─── Helper: defang links in visitor-written text ────────────────────────────
+// Anyone can type into the chat, so URLs and bare domains in their turns are made
+// unclickable before the text goes out by email.
+export function neutralizeLinks(text) {
+    return String(text)
+        .replace(/\b(?:[a-z][a-z0-9+.-]*:\/\/|www\.)\S+/gi, '[link removed]')
+        .replace(/\b([a-z0-9-]+)\.(?=[a-z]{2,}\b)/gi, '$1[.]');
+}
+
+// ─── Render turns (oldest first) as a readable email body ─────────────────────
+export function formatTranscriptText(turns, { title = 'Your conversation with Moonshot' } = {}) {
+    const lines = [title, '='.repeat(title.length), ''];
+    for (const turn of turns) {
+        const speaker = turn.role === 'agent' && turn.author ? turn.author : (SPEAKERS[turn.role] || turn.role);
+        lines.push(`[${formatTimestamp(turn.timestamp)}] ${speaker}:`);
+        const visitor = turn.role === 'user';
+        const text = String(turn.text || '').trim();
+        lines.push(visitor ? neutralizeLinks(text) : text);
+        for (const file of turn.attachments || []) lines.push(`📎 ${visitor ? neutralizeLinks(file.name) : file.name}`);
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+// ─── Confirmation tokens: base64url(JSON { sid, email, exp }) + "." + HMAC ────
+// Signed with SESSION_SECRET; valid for 24 hours.
+function sign(encoded) {
+    return createHmac('sha256', process.env.SESSION_SECRET).update(`transcript.${encoded}`).digest('base64url');
+}
+
+export function issueConfirmToken({ sid, email }) {
+    if (!process.env.SESSION_SECRET) throw new Error('SESSION_SECRET not configured');
+    const encoded = Buffer.from(JSON.stringify({ sid, email, exp: Date.now() + CONFIRM_TTL_MS })).toString('base64url');
+    return `${encoded}.${sign(encoded)}`;
+}
+
+// Returns { sid, email } for a valid, unexpired token, or null
+export function verifyConfirmToken(token) {
+    if (!process.env.SESSION_SECRET || typeof token !== 'string') return null;
+    const [encoded, signature, extra] = token.split('.');
+    if (!encoded || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(encoded));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+    let payload;
+    try { payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8')); }
+    catch { return null; }
+    if (typeof payload?.sid !== 'string' || typeof payload?.email !== 'string' || !(payload.exp > Date.now())) return null;
+    return { sid: payload.sid, email: payload.email };
+}
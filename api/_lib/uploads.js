@@ -0,0 +1,189 @@
+// Chat attachments: limits, content checks, storage and signed download URLs
+// The widget uploads each file to /api/upload first and then sends only the
+// upload IDs with its chat message; /api/chat turns them into references
+// ({ id, name, type, size, url }) that n8n can download without a session token.
+// The store is chosen with UPLOAD_STORE (memory | file):
+//   save(meta, data) → void,  get(id) → { meta, data } | null
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+const DEFAULT_ALLOWED_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'application/pdf', 'text/plain',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+const MEMORY_STORE_MAX_BYTES = 50 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+// ─── Limits ───────────────────────────────────────────────────────────────────
+// Vercel caps request bodies at 4.5 MB and base64 adds a third, hence 3 MB.
+export function getUploadLimits() {
+    const maxBytes = Number(process.env.UPLOAD_MAX_BYTES) || 3 * 1024 * 1024;
+    const allowedTypes = process.env.UPLOAD_ALLOWED_TYPES
+        ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(t => t.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_ALLOWED_TYPES;
+    return { maxBytes, allowedTypes };
+}
+
+// ─── Helper: does the content look like the type the browser claimed? ────────
+const startsWith = (data, bytes) => bytes.every((b, i) => data[i] === b);
+const SIGNATURES = {
+    'image/png': (d) => startsWith(d, [0x89, 0x50, 0x4e, 0x47]),
+    'image/jpeg': (d) => startsWith(d, [0xff, 0xd8, 0xff]),
+    'image/gif': (d) => startsWith(d, [0x47, 0x49, 0x46, 0x38]),
+    'image/webp': (d) => d.subarray(0, 4).toString('latin1') === 'RIFF' && d.subarray(8, 12).toString('latin1') === 'WEBP',
+    'application/pdf': (d) => d.subarray(0, 4).toString('latin1') === '%PDF',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': (d) => startsWith(d, [0x50, 0x4b, 0x03, 0x04]),
+    'text/plain': (d) => !d.subarray(0, 1024).includes(0)
+};
+
+// Served inline: only types whose content is checked above and can't run script.
+// Anything else an operator allows (e.g. image/svg+xml) downloads as an attachment.
+export const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+
+export function matchesDeclaredType(type, data) {
+    const check = SIGNATURES[type];
+    return check ? check(data) : true;
+}
+
+// Keep only a plain file name: no directories, control characters or quotes
+export function sanitizeFileName(name) {
+    const base = String(name || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, '').trim();
+    return (base || 'attachment').slice(0, 120);
+}
+
+// ─── Store: in-memory (per warm instance — fine for dev and demos) ────────────
+// Oldest files are dropped once the total passes MEMORY_STORE_MAX_BYTES.
+function createMemoryStore() {
+    const files = new Map();
+    let totalBytes = 0;
+    return {
+        name: 'memory',
+        async save(meta, data) {
+            files.set(meta.id, { meta: { ...meta }, data });
+            totalBytes += data.length;
+            for (const [id, file] of files) {
+                if (totalBytes <= MEMORY_STORE_MAX_BYTES) break;
+                files.delete(id);
+                totalBytes -= file.data.length;
+            }
+        },
+        async get(id) {
+            const file = files.get(id);
+            return file ? { meta: { ...file.meta }, data: file.data } : null;
+        }
+    };
+}
+
+// ─── Store: files on disk (<id>.bin + <id>.json metadata) ─────────────────────
+function createFileStore(dir = process.env.UPLOAD_DIR || '/tmp/moonshot-uploads') {
+    return {
+        name: 'file',
+        async save(meta, data) {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, `${meta.id}.bin`), data);
+            await fs.writeFile(path.join(dir, `${meta.id}.json`), JSON.stringify(meta), 'utf8');
+        },
+        async get(id) {
+            try {
+                const meta = JSON.parse(await fs.readFile(path.join(dir, `${id}.json`), 'utf8'));
+                const data = await fs.readFile(path.join(dir, `${id}.bin`));
+                return { meta, data };
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        }
+    };
+}
+
+const STORES = {
+    memory: createMemoryStore,
+    file: createFileStore
+};
+
+let activeStore = null;
+
+// ─── Resolve the store selected by UPLOAD_STORE (defaults to memory) ──────────
+export function getUploadStore() {
+    if (activeStore) return activeStore;
+    const key = (process.env.UPLOAD_STORE || 'memory').trim().toLowerCase();
+    const create = STORES[key];
+    if (!create) throw new Error(`Unknown UPLOAD_STORE "${process.env.UPLOAD_STORE}"`);
+    activeStore = create();
+    return activeStore;
+}
+
+export async function saveUpload({ sessionId, name, type, data }) {
+    const meta = {
+        id: `upl_${randomBytes(12).toString('base64url')}`,
+        sessionId,
+        name: sanitizeFileName(name),
+        type,
+        size: data.length,
+        sha256: createHash('sha256').update(data).digest('hex'),
+        createdAt: new Date().toISOString()
+    };
+    await getUploadStore().save(meta, data);
+    return meta;
+}
+
+export async function getUpload(id) {
+    if (typeof id !== 'string' || !/^upl_[A-Za-z0-9_-]{1,40}$/.test(id)) return null;
+    return getUploadStore().get(id);
+}
+
+// ─── Signed download URLs ─────────────────────────────────────────────────────
+function getSigningSecret() {
+    return process.env.UPLOAD_SIGNING_SECRET || process.env.SESSION_SECRET || null;
+}
+
+function signature(id, expires) {
+    return createHmac('sha256', getSigningSecret()).update(`${id}.${expires}`).digest('base64url');
+}
+
+export function verifyDownloadSignature(id, expires, sig) {
+    if (!getSigningSecret() || !sig || !(Number(expires) > Date.now() / 1000)) return false;
+    const given = Buffer.from(String(sig));
+    const wanted = Buffer.from(signature(id, String(expires)));
+    return given.length === wanted.length && timingSafeEqual(given, wanted);
+}
+
+// Where n8n and agents can reach this deployment: PUBLIC_BASE_URL, else the
+// host Vercel gives the deployment, else null. Never taken from the request's
+// Host / X-Forwarded-Host — a client could point the signed links anywhere.
+export function getPublicBaseUrl() {
+    if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+    if (process.env.VERCEL_URL) return `https://${process.env.VERCEL_URL}`;
+    return null;
+}
+
+// ─── Reference handed to the widget and forwarded to n8n ─────────────────────
+export function attachmentRef(meta, baseUrl) {
+    const ttl = Number(process.env.UPLOAD_URL_TTL) || 24 * 60 * 60;
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const query = new URLSearchParams({ id: meta.id, expires: String(expires), sig: signature(meta.id, String(expires)) });
+    return {
+        id: meta.id,
+        name: meta.name,
+        type: meta.type,
+        size: meta.size,
+        url: `${baseUrl}/api/upload?${query}`,
+        expiresAt: new Date(expires * 1000).toISOString()
+    };
+}
+
+// ─── Turn the upload IDs sent with a chat message into references ────────────
+// Only the session's own uploads resolve; anything else comes back in `missing`.
+export async function resolveAttachments(ids = [], { sessionId, baseUrl }) {
+    const attachments = [];
+    const missing = [];
+    for (const id of ids) {
+        const upload = await getUpload(id);
+        if (!upload || upload.meta.sessionId !== sessionId) missing.push(id);
+        else attachments.push(attachmentRef(upload.meta, baseUrl));
+    }
+    return { attachments, missing };
+}
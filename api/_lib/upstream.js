@@ -0,0 +1,137 @@
+// Shared upstream HTTP helpers for the API routes
+// Timeout + retry wrappers around fetch, and a line reader for streaming bodies
+
+import { ApiError } from './contract.js';
+import { logger } from './logger.js';
+import { incrementCounter, observeHistogram } from './metrics.js';
+
+// ─── Helper: fetch with a manual timeout ──────────────────────────────────────
+export async function fetchWithTimeout(url, options, timeoutMs = 55000) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        return response;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// ─── Helper: cheap reachability probe for health checks ──────────────────────
+// isHealthy decides what counts as "up" — by default any non-5xx answer, since
+// e.g. an n8n webhook answers a GET with 404 but is clearly reachable.
+export async function probeUrl(url, options = {}, { timeoutMs = 5000, isHealthy = (r) => r.status < 500 } = {}) {
+    const startedAt = Date.now();
+    try {
+        const response = await fetchWithTimeout(url, { method: 'GET', ...options }, timeoutMs);
+        await response.body?.cancel();
+        return { ok: isHealthy(response), status: response.status, latencyMs: Date.now() - startedAt };
+    } catch (err) {
+        return {
+            ok: false,
+            error: err.name === 'AbortError' ? 'timeout' : err.message,
+            latencyMs: Date.now() - startedAt
+        };
+    }
+}
+
+// ─── Helper: fetch with retry on transient errors ─────────────────────────────
+// Every attempt is logged with its number, upstream status and latency, and
+// recorded in the upstream_* metrics under the given upstream label.
+export async function fetchWithRetry(url, options, { retries = 2, delayMs = 2000, timeoutMs = 55000, log = logger, upstream = 'unknown' } = {}) {
+    let lastError;
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        const startedAt = Date.now();
+        try {
+            const response = await fetchWithTimeout(url, options, timeoutMs);
+            const latencyMs = Date.now() - startedAt;
+            observeHistogram('upstream_request_duration_seconds', { upstream }, latencyMs / 1000);
+            // Only retry on server errors (5xx), not client errors (4xx)
+            if (response.status >= 500 && attempt < retries) {
+                const text = await response.text();
+                log.warn('upstream attempt failed, retrying', {
+                    attempt, upstreamStatus: response.status, latencyMs, retryInMs: delayMs, body: text.substring(0, 200)
+                });
+                incrementCounter('upstream_retries_total', { upstream });
+                await new Promise(r => setTimeout(r, delayMs));
+                continue;
+            }
+            log.info('upstream attempt completed', { attempt, upstreamStatus: response.status, latencyMs });
+            return response;
+        } catch (err) {
+            lastError = err;
+            const isTimeout = err.name === 'AbortError';
+            log.warn('upstream attempt failed', {
+                attempt, latencyMs: Date.now() - startedAt, timeout: isTimeout, err
+            });
+            observeHistogram('upstream_request_duration_seconds', { upstream }, (Date.now() - startedAt) / 1000);
+            if (isTimeout) incrementCounter('upstream_timeouts_total', { upstream });
+            if (attempt < retries) {
+                incrementCounter('upstream_retries_total', { upstream });
+                await new Promise(r => setTimeout(r, delayMs));
+            }
+        }
+    }
+    throw lastError || new Error('All retry attempts failed');
+}
+
+// ─── Helper: pull a streamed token out of one upstream chunk ──────────────────
+// n8n streaming webhooks emit NDJSON items ({ type: 'item', content }), while
+// OpenAI-style endpoints emit { choices: [{ delta: { content } }] }.
+export function extractStreamToken(chunk) {
+    if (!chunk || typeof chunk !== 'object') return null;
+    if (chunk.type === 'item' && typeof chunk.content === 'string') return chunk.content;
+    const delta = chunk?.choices?.[0]?.delta?.content;
+    if (typeof delta === 'string') return delta;
+    return null;
+}
+
+// ─── Helper: read a chunked / streaming upstream body line by line ────────────
+// Calls onToken for every streamed token. Non-token JSON lines (e.g. a trailing
+// object carrying suggestions) are collected in `extras`. The raw text is kept so
+// a plain, non-streaming JSON body can still be parsed the usual way.
+export async function readUpstreamStream(response, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let rawText = '';
+    let buffer = '';
+    const extras = [];
+
+    const handleLine = (line) => {
+        let trimmed = line.trim();
+        if (trimmed.startsWith('data:')) trimmed = trimmed.slice(5).trim();
+        if (!trimmed || trimmed === '[DONE]' || trimmed.startsWith('event:')) return;
+
+        let chunk;
+        try { chunk = JSON.parse(trimmed); }
+        catch { return; } // part of a multi-line JSON document — handled via rawText
+
+        if (chunk?.type === 'error') {
+            throw new ApiError('UPSTREAM_ERROR', `Upstream stream error: ${chunk.content || 'unknown'}`);
+        }
+        const token = extractStreamToken(chunk);
+        if (token !== null) {
+            if (token) onToken(token);
+            return;
+        }
+        if (chunk && typeof chunk === 'object' && chunk.type !== 'begin' && chunk.type !== 'end') {
+            extras.push(chunk);
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        const text = decoder.decode(value, { stream: true });
+        rawText += text;
+        buffer += text;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    const tail = decoder.decode();
+    rawText += tail;
+    handleLine(buffer + tail);
+
+    return { rawText, extras };
+}
@@ -0,0 +1,47 @@
+// Vercel Serverless Function - Meeting Availability
+// GET /api/availability?days=7[&from=<ISO date-time>]
+//   → { timeZone, slotMinutes, slots: [{ start, end }] } — open slots from the
+//     configured calendar source (see _lib/calendar.js), minus existing bookings.
+// Requires the visitor's session token.
+
+import { MAX_AVAILABILITY_DAYS, getBookingSettings, getCalendarSource } from './_lib/calendar.js';
+import { getAvailableSlots } from './_lib/bookings.js';
+import { getRequestSession } from './_lib/session-token.js';
+import { handleCors } from './_lib/cors.js';
+import { getRequestId, logger } from './_lib/logger.js';
+
+export default async function handler(req, res) {
+    if (handleCors(req, res, { methods: 'GET, OPTIONS' })) return;
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    const requestId = getRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+    const log = logger.child({ route: 'availability', requestId });
+
+    if (!getRequestSession(req)) return res.status(401).json({ error: 'Invalid or expired session' });
+
+    const days = Math.min(MAX_AVAILABILITY_DAYS, Math.max(1, parseInt(req.query?.days, 10) || 7));
+    const from = req.query?.from ? new Date(req.query.from) : new Date();
+    if (Number.isNaN(from.getTime())) return res.status(400).json({ error: 'from must be an ISO date-time' });
+
+    let settings;
+    try {
+        settings = getBookingSettings();
+        const missing = getCalendarSource().missingConfig();
+        if (missing) throw new Error(`${missing} not configured (CALENDAR_SOURCE=${process.env.CALENDAR_SOURCE})`);
+    } catch (err) {
+        log.error('booking calendar misconfigured', { err });
+        return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    try {
+        const slots = await getAvailableSlots({ from, days });
+        return res.status(200).json({ timeZone: settings.timeZone, slotMinutes: settings.slotMinutes, slots });
+    } catch (error) {
+        log.error('Availability API error', { err: error });
+        return res.status(500).json({
+            error: 'Failed to load availability',
+            message: error.message
+        });
+    }
+}
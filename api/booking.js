@@ -0,0 +1,151 @@
+// Vercel Serverless Function - Meeting Bookings
+// POST   /api/booking { start, email, name?, topic? } → reserve an open slot
+// GET    /api/booking?id=...[&format=ics]             → booking, or its .ics invite as a download
+// PATCH  /api/booking { id, start }                   → reschedule to another open slot
+// DELETE /api/booking?id=...                          → cancel
+// Changes answer { booking, ics } — the invite's SEQUENCE grows with every change
+// so calendar apps replace the earlier copy. Visitors (session token) may only touch
+// their own bookings; staff may touch any with "Authorization: Bearer <ADMIN_TOKEN>".
+
+import { isAdminRequest } from './_lib/admin-auth.js';
+import {
+    SlotUnavailableError, bookingInvite, cancelBooking, getBooking, rescheduleBooking, reserveBooking
+} from './_lib/bookings.js';
+import { getBookingSettings, getCalendarSource } from './_lib/calendar.js';
+import { recordTurn } from './_lib/history.js';
+import { isValidEmail } from './_lib/leads.js';
+import { notifyStaff } from './_lib/notify.js';
+import { getClientIp, takeToken } from './_lib/rate-limit.js';
+import { getRequestSession } from './_lib/session-token.js';
+import { handleCors } from './_lib/cors.js';
+import { getRequestId, logger } from './_lib/logger.js';
+
+// ─── Helper: what the widget gets back (no session ID) ────────────────────────
+function publicBooking({ sessionId, ...booking }) {
+    return booking;
+}
+
+function describeBooking(booking) {
+    return [
+        `Booking: ${booking.id}`,
+        `When: ${booking.start} – ${booking.end} (UTC)`,
+        `Name: ${booking.name || '—'}`,
+        `Email: ${booking.email}`,
+        `Topic: ${booking.topic || '—'}`,
+        `Status: ${booking.status}`
+    ].join('\n');
+}
+
+export default async function handler(req, res) {
+    if (handleCors(req, res, { methods: 'GET, POST, PATCH, DELETE, OPTIONS' })) return;
+    if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) return res.status(405).json({ error: 'Method not allowed' });
+
+    const requestId = getRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+    let log = logger.child({ route: 'booking', requestId });
+
+    const isAdmin = isAdminRequest(req);
+    const session = isAdmin ? null : getRequestSession(req);
+    if (!isAdmin && !session) return res.status(401).json({ error: 'Invalid or expired session' });
+    if (session) log = log.child({ sessionId: session.sid });
+
+    let body = req.body;
+    if (typeof body === 'string' && body) {
+        try { body = JSON.parse(body); }
+        catch { return res.status(400).json({ error: 'Invalid JSON body' }); }
+    }
+    body = body && typeof body === 'object' ? body : {};
+
+    try {
+        getBookingSettings();
+        const missing = getCalendarSource().missingConfig();
+        if (missing) throw new Error(`${missing} not configured (CALENDAR_SOURCE=${process.env.CALENDAR_SOURCE})`);
+    } catch (err) {
+        log.error('booking calendar misconfigured', { err });
+        return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    if (session && req.method !== 'GET') {
+        const limited = takeToken('booking', { ip: getClientIp(req), sessionId: session.sid });
+        if (limited) {
+            res.setHeader('Retry-After', String(limited.retryAfter));
+            return res.status(429).json({ error: 'Too many requests', retryAfter: limited.retryAfter });
+        }
+    }
+
+    // Tell the team about every change; delivery problems never fail the booking
+    const notify = (event, booking) => notifyStaff({
+        event,
+        subject: `Meeting ${event.split('.')[1]}: ${booking.name || booking.email}`,
+        text: describeBooking(booking),
+        data: { booking: publicBooking(booking) }
+    }, { webhookUrl: process.env.BOOKING_WEBHOOK_URL, emailTo: process.env.BOOKING_EMAIL_TO, log });
+
+    try {
+        // ── POST: reserve ─────────────────────────────────────────────────────
+        if (req.method === 'POST') {
+            if (isAdmin) return res.status(400).json({ error: 'Bookings are made from a visitor session' });
+            const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+            if (!isValidEmail(email)) return res.status(400).json({ error: 'A valid email is required' });
+            if (typeof body.start !== 'string') return res.status(400).json({ error: 'start is required' });
+
+            const booking = await reserveBooking({
+                start: body.start,
+                sessionId: session.sid,
+                email,
+                name: typeof body.name === 'string' && body.name.trim() ? body.name.trim().slice(0, 100) : null,
+                topic: typeof body.topic === 'string' && body.topic.trim() ? body.topic.trim().slice(0, 300) : null
+            });
+            log.info('booking reserved', { bookingId: booking.id, start: booking.start });
+            await recordTurn(session.sid, { role: 'system', text: `Meeting booked for ${booking.start}`, bookingId: booking.id });
+            await notify('booking.created', booking);
+            return res.status(201).json({ booking: publicBooking(booking), ics: bookingInvite(booking) });
+        }
+
+        // ── Everything else works on one booking by ID ────────────────────────
+        const id = req.query?.id || body.id;
+        const booking = await getBooking(id);
+        if (!booking || (!isAdmin && booking.sessionId !== session.sid)) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        log = log.child({ bookingId: booking.id });
+
+        if (req.method === 'GET') {
+            if (req.query?.format === 'ics') {
+                res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="${booking.id}.ics"`);
+                return res.status(200).send(bookingInvite(booking));
+            }
+            return res.status(200).json({ booking: publicBooking(booking) });
+        }
+
+        if (req.method === 'PATCH') {
+            if (typeof body.start !== 'string') return res.status(400).json({ error: 'start is required' });
+            const updated = await rescheduleBooking(booking.id, body.start);
+            log.info('booking rescheduled', { start: updated.start, sequence: updated.sequence });
+            await recordTurn(booking.sessionId, { role: 'system', text: `Meeting moved to ${updated.start}`, bookingId: booking.id });
+            await notify('booking.rescheduled', updated);
+            return res.status(200).json({ booking: publicBooking(updated), ics: bookingInvite(updated) });
+        }
+
+        // DELETE
+        const wasConfirmed = booking.status === 'confirmed';
+        const cancelled = await cancelBooking(booking.id);
+        if (wasConfirmed) {
+            log.info('booking cancelled');
+            await recordTurn(booking.sessionId, { role: 'system', text: 'Meeting cancelled', bookingId: booking.id });
+            await notify('booking.cancelled', cancelled);
+        }
+        return res.status(200).json({ booking: publicBooking(cancelled), ics: bookingInvite(cancelled) });
+
+    } catch (error) {
+        if (error instanceof SlotUnavailableError) {
+            return res.status(409).json({ error: error.message });
+        }
+        log.error('Booking API error', { err: error });
+        return res.status(500).json({
+            error: 'Booking request failed',
+            message: error.message
+        });
+    }
+}
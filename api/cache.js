@@ -0,0 +1,32 @@
+// Vercel Serverless Function - Response Cache Invalidation
+// DELETE /api/cache                       → clear every cached reply
+// DELETE /api/cache?message=Our%20services → clear one question
+// Requires "Authorization: Bearer <ADMIN_TOKEN>".
+
+import { isAdminConfigured, isAdminRequest } from './_lib/admin-auth.js';
+import { invalidateCache } from './_lib/response-cache.js';
+import { handleCors } from './_lib/cors.js';
+import { logger } from './_lib/logger.js';
+
+export default async function handler(req, res) {
+    if (handleCors(req, res, { methods: 'DELETE, OPTIONS' })) return;
+    if (req.method !== 'DELETE') return res.status(405).json({ error: 'Method not allowed' });
+
+    if (!isAdminConfigured()) {
+        logger.error('ADMIN_TOKEN not configured', { route: 'cache' });
+        return res.status(500).json({ error: 'Server configuration error' });
+    }
+    if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+    let body = req.body;
+    if (typeof body === 'string' && body) {
+        try { body = JSON.parse(body); }
+        catch { return res.status(400).json({ error: 'Invalid JSON body' }); }
+    }
+
+    const message = req.query?.message ?? body?.message;
+    const removed = invalidateCache(message);
+    logger.info('Cache invalidated', { route: 'cache', message: message || null, removed });
+
+    return res.status(200).json({ success: true, removed });
+}
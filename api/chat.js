@@ -1,5 +1,20 @@
-// Vercel Serverless Function - n8n Webhook Proxy
+// Vercel Serverless Function - Chat Backend Proxy
 // Fixed: timeout handling, retry logic, robust response parsing
+// The backend (n8n, OpenAI-compatible, mock) is picked by CHAT_BACKEND — see _lib/adapters.js
+// Request/response bodies follow the v2 contract in _lib/contract.js
+
+import { getChatAdapter } from './_lib/adapters.js';
+import { recordTurn } from './_lib/history.js';
+import { getClientIp, takeToken } from './_lib/rate-limit.js';
+import { getCachedReply, setCachedReply } from './_lib/response-cache.js';
+import { getRequestSession, isSessionConfigured } from './_lib/session-token.js';
+import { handleCors } from './_lib/cors.js';
+import { ApiError, buildChatResponse, errorBody, parseChatRequest, toApiError } from './_lib/contract.js';
+import { getCircuitBreaker, getDegradedReply } from './_lib/circuit-breaker.js';
+import { resolveIntent } from './_lib/intent-router.js';
+import { getRequestId, logger } from './_lib/logger.js';
+import { incrementCounter, observeHistogram } from './_lib/metrics.js';
+import { getPublicBaseUrl, resolveAttachments } from './_lib/uploads.js';
 
 export const maxDuration = 60;
 
@@ -13,177 +28,206 @@ export const config = {
     },
 };
 
-// ─── Helper: fetch with a manual timeout ──────────────────────────────────────
-async function fetchWithTimeout(url, options, timeoutMs = 55000) {
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), timeoutMs);
-    try {
-        const response = await fetch(url, { ...options, signal: controller.signal });
-        return response;
-    } finally {
-        clearTimeout(timer);
-    }
+// ─── Helper: Server-Sent Events ───────────────────────────────────────────────
+function startEventStream(res) {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // disable proxy buffering
+    res.flushHeaders?.();
 }
 
-// ─── Helper: fetch with retry on transient errors ─────────────────────────────
-async function fetchWithRetry(url, options, { retries = 2, delayMs = 2000, timeoutMs = 55000 } = {}) {
-    let lastError;
-    for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-            const response = await fetchWithTimeout(url, options, timeoutMs);
-            // Only retry on server errors (5xx), not client errors (4xx)
-            if (response.status >= 500 && attempt < retries) {
-                const text = await response.text();
-                console.warn(`Attempt ${attempt} got ${response.status}, retrying in ${delayMs}ms. Body: ${text.substring(0, 200)}`);
-                await new Promise(r => setTimeout(r, delayMs));
-                continue;
-            }
-            return response;
-        } catch (err) {
-            lastError = err;
-            const isTimeout = err.name === 'AbortError';
-            console.warn(`Attempt ${attempt} failed (${isTimeout ? 'TIMEOUT' : err.message})`);
-            if (attempt < retries) {
-                await new Promise(r => setTimeout(r, delayMs));
-            }
-        }
-    }
-    throw lastError || new Error('All retry attempts failed');
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
-// ─── Helper: robustly extract response text from any n8n payload shape ────────
-function extractResponseText(data) {
-    const candidates = Array.isArray(data) ? data : [data];
-    for (const item of candidates) {
-        if (!item || typeof item !== 'object') continue;
-        const direct = item.response || item.output || item.text || item.message || item.answer;
-        if (direct && typeof direct === 'string' && direct.trim()) return direct.trim();
-        const nested =
-            item?.json?.response ||
-            item?.json?.output ||
-            item?.json?.text ||
-            item?.data?.response ||
-            item?.data?.output ||
-            item?.body?.response;
-        if (nested && typeof nested === 'string' && nested.trim()) return nested.trim();
-    }
-    return null;
+function wantsEventStream(req, body) {
+    return body?.stream === true || String(req.headers?.accept || '').includes('text/event-stream');
 }
 
-// ─── Helper: extract suggestions array from n8n payload ───────────────────────
-function extractSuggestions(data) {
-    const candidates = Array.isArray(data) ? data : [data];
-    for (const item of candidates) {
-        if (!item || typeof item !== 'object') continue;
-        const s = item.suggestions || item?.json?.suggestions || item?.data?.suggestions;
-        if (Array.isArray(s)) {
-            return s.map(String).filter(Boolean).slice(0, 3); // 0–3 chips
-        }
-    }
-    return [];
+// ─── Helper: count a finished request in the chat metrics ────────────────────
+function recordRequestMetrics(startedAt, status, code = 'OK') {
+    incrementCounter('chat_requests_total', { status: String(status), code });
+    observeHistogram('chat_request_duration_seconds', {}, (Date.now() - startedAt) / 1000);
+}
+
+// ─── Helper: send a contract response (v1 clients also get output/text aliases) ─
+function sendReply(res, body, { legacy }) {
+    if (legacy) return res.status(200).json({ ...body, output: body.response, text: body.response });
+    return res.status(200).json(body);
 }
 
 
 export default async function handler(req, res) {
     // ── CORS ──────────────────────────────────────────────────────────────────
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (handleCors(req, res, { methods: 'POST, OPTIONS' })) return;
 
-    if (req.method === 'OPTIONS') return res.status(200).end();
-    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    // ── Request ID: ties widget, proxy logs and the n8n run together ─────────
+    const requestId = getRequestId(req);
+    const startedAt = Date.now();
+    let log = logger.child({ route: 'chat', requestId });
+    res.setHeader('X-Request-Id', requestId);
+
+    if (req.method !== 'POST') {
+        return res.status(405).json(errorBody(new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed'), { requestId }));
+    }
+
+    let streaming = false; // true once SSE headers have been sent
 
     try {
-        // ── Parse body ────────────────────────────────────────────────────────
+        // ── Parse + validate body ─────────────────────────────────────────────
         let body = req.body;
         if (typeof body === 'string') {
             try { body = JSON.parse(body); }
-            catch { return res.status(400).json({ error: 'Invalid JSON body' }); }
+            catch { throw new ApiError('VALIDATION_FAILED', 'Invalid JSON body'); }
         }
 
-        const { message, timestamp, sessionId } = body || {};
-        if (!message) return res.status(400).json({ error: 'Message is required' });
+        const { message, timestamp, version, intent: requestedIntent, attachments: attachmentIds = [] } = parseChatRequest(body);
+        const legacy = version !== 2;
 
-        // ── Config ────────────────────────────────────────────────────────────
-        const n8nWebhookUrl = process.env.N8N_WEBHOOK_URL;
-        if (!n8nWebhookUrl) {
-            console.error('N8N_WEBHOOK_URL not configured');
-            return res.status(500).json({ error: 'Server configuration error' });
+        // ── Session: only trust the sid inside a token signed by /api/session ─
+        if (!isSessionConfigured()) {
+            log.error('SESSION_SECRET not configured');
+            throw new ApiError('CONFIG_ERROR', 'Server configuration error');
+        }
+        const session = getRequestSession(req);
+        if (!session) throw new ApiError('SESSION_INVALID', 'Invalid or expired session');
+        const sessionId = session.sid;
+        log = log.child({ sessionId });
+
+        // ── Rate limit (token bucket per client IP + per session) ─────────────
+        const limited = takeToken('chat', { ip: getClientIp(req), sessionId });
+        if (limited) {
+            res.setHeader('Retry-After', String(limited.retryAfter));
+            throw new ApiError('RATE_LIMITED', 'Too many requests', {
+                details: { retryAfter: limited.retryAfter },
+                response: `You're sending messages a little fast — please wait ${limited.retryAfter}s and try again.`
+            });
         }
 
-        // ── Call n8n with retry + timeout ─────────────────────────────────────
-        const n8nResponse = await fetchWithRetry(
-            n8nWebhookUrl,
-            {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    message,
-                    timestamp: timestamp || new Date().toISOString(),
-                    sessionId: sessionId || 'unknown'
-                })
-            },
-            {
-                retries: 2,       // 1 initial attempt + 1 retry
-                delayMs: 2000,    // wait 2s before retry
-                timeoutMs: 55000  // 55s per attempt (leaves 5s buffer under Vercel's 60s limit)
-            }
-        );
-
-        // ── Read raw text so we can log it if anything goes wrong ─────────────
-        const rawText = await n8nResponse.text();
-
-        if (!n8nResponse.ok) {
-            console.error(`n8n returned HTTP ${n8nResponse.status}:`, rawText.substring(0, 500));
-            throw new Error(`n8n webhook error: ${n8nResponse.status}`);
+        // ── Attachments: upload IDs from /api/upload → signed references ──────
+        const baseUrl = getPublicBaseUrl();
+        if (attachmentIds.length > 0 && !baseUrl) {
+            log.error('PUBLIC_BASE_URL not configured');
+            throw new ApiError('CONFIG_ERROR', 'Server configuration error');
+        }
+        const { attachments, missing } = await resolveAttachments(attachmentIds, { sessionId, baseUrl });
+        if (missing.length > 0) {
+            throw new ApiError('VALIDATION_FAILED', 'Unknown attachment', {
+                details: missing.map(id => `$.attachments: "${id}" is not an upload of this session`),
+                response: "One of your attachments has expired — please attach it again."
+            });
         }
 
-        // ── Parse JSON ────────────────────────────────────────────────────────
-        let data;
+        // ── Config + routing ──────────────────────────────────────────────────
+        let adapter, intent, route;
         try {
-            data = JSON.parse(rawText);
-        } catch {
-            console.error('n8n returned non-JSON. Raw:', rawText.substring(0, 500));
-            throw new Error('Invalid JSON from n8n');
+            adapter = getChatAdapter();
+            const missing = adapter.missingConfig();
+            if (missing) throw new Error(`${missing} not configured (CHAT_BACKEND=${adapter.name})`);
+            ({ intent } = resolveIntent({ intent: requestedIntent, message }));
+            // Caches and breakers are per upstream target, so routed workflows stay independent
+            route = adapter.routeKey?.(intent) ?? adapter.name;
+        } catch (err) {
+            log.error('chat backend misconfigured', { err });
+            throw new ApiError('CONFIG_ERROR', 'Server configuration error');
         }
 
-        // ── Extract response text (handles all n8n payload shapes) ────────────
-        const responseText = extractResponseText(data);
-
-        if (!responseText) {
-            console.error('Could not find response text in n8n payload:', JSON.stringify(data).substring(0, 500));
-            throw new Error('No response text found in n8n payload');
+        // ── Serve repeated questions straight from the proxy cache ────────────
+        await recordTurn(sessionId, {
+            role: 'user',
+            text: message,
+            requestId,
+            intent,
+            attachments: attachments.length > 0 ? attachments.map(({ id, name, type, size }) => ({ id, name, type, size })) : undefined
+        });
+        // A message with files is never the "same question" as one without
+        const cacheable = attachments.length === 0;
+        const cached = cacheable ? getCachedReply(route, message) : null;
+        if (cached) {
+            await recordTurn(sessionId, { role: 'assistant', text: cached.response, requestId, suggestions: cached.suggestions });
+            res.setHeader('X-Cache', 'HIT');
+            incrementCounter('chat_cache_hits_total');
+            recordRequestMetrics(startedAt, 200);
+            log.info('chat request completed', { status: 200, cached: true, intent, upstream: route, latencyMs: Date.now() - startedAt });
+            return sendReply(res, buildChatResponse(cached, { requestId, sessionId, cached: true, intent }), { legacy });
         }
 
-        // ── Extract suggestions (optional) ────────────────────────────────────
-        const suggestions = extractSuggestions(data);
+        if (cacheable) incrementCounter('chat_cache_misses_total');
+
+        // ── Circuit breaker: answer at once in degraded mode while it is open ─
+        const breaker = getCircuitBreaker(route);
+        const gate = breaker.acquire();
+        if (!gate) {
+            const degraded = buildChatResponse(getDegradedReply(), { requestId, sessionId, cached: false, degraded: true, intent });
+            incrementCounter('chat_degraded_total', { upstream: route });
+            recordRequestMetrics(startedAt, 200);
+            log.warn('chat request served degraded', { status: 200, upstream: route, breaker: breaker.state, latencyMs: Date.now() - startedAt });
+            await recordTurn(sessionId, { role: 'assistant', text: degraded.response, requestId, suggestions: degraded.suggestions, degraded: true });
+            return sendReply(res, degraded, { legacy });
+        }
 
-        // ── Determine sessionId to echo back ──────────────────────────────────
-        const payload = Array.isArray(data) ? data[0] : data;
-        const returnedSessionId = payload?.sessionId || payload?.json?.sessionId || sessionId;
+        // ── Streaming mode: relay tokens as SSE as soon as they arrive ────────
+        // SSE headers are only sent once the first token shows up, so a backend
+        // that answers with one plain JSON body still gets the JSON reply below.
+        const onToken = wantsEventStream(req, body)
+            ? (token) => {
+                if (!streaming) {
+                    startEventStream(res);
+                    streaming = true;
+                }
+                sendEvent(res, 'token', { text: token });
+            }
+            : null;
 
-        return res.status(200).json({
-            response: responseText,   // for your API / logs
-            output: responseText,     // 👈 for the chat widget
-            text: responseText,       // 👈 extra safety
-            suggestions,
-            sessionId: returnedSessionId,
-            timestamp: payload?.timestamp || new Date().toISOString()
+        // ── Call the backend (retry + timeout live in the adapter) ────────────
+        // A half-open probe gets a single attempt so a dead upstream fails fast.
+        let backendReply;
+        try {
+            backendReply = await adapter.send(
+                { message, timestamp, sessionId, intent, requestId, attachments },
+                { onToken, retries: gate === 'probe' ? 1 : undefined, log: log.child({ upstream: route }), upstream: route }
+            );
+            breaker.recordSuccess();
+        } catch (err) {
+            if (toApiError(err).code.startsWith('UPSTREAM_')) breaker.recordFailure();
+            else breaker.release();
+            throw err;
+        }
+        // The backend answered, so a reply that breaks the contract still fails
+        // as UPSTREAM_BAD_PAYLOAD but no longer counts against the breaker.
+        const reply = buildChatResponse(backendReply, { requestId, sessionId, cached: false, intent });
+        await recordTurn(sessionId, { role: 'assistant', text: reply.response, requestId, suggestions: reply.suggestions });
+        if (cacheable) setCachedReply(route, message, reply);
+
+        recordRequestMetrics(startedAt, 200);
+        log.info('chat request completed', {
+            status: 200, cached: false, streamed: streaming, intent, upstream: route, latencyMs: Date.now() - startedAt
         });
 
+        if (streaming) {
+            sendEvent(res, 'done', reply);
+            return res.end();
+        }
+
+        res.setHeader('X-Cache', 'MISS');
+        return sendReply(res, reply, { legacy });
+
     } catch (error) {
-        const isTimeout = error.name === 'AbortError' || error.message?.includes('abort');
-        console.error('Chat API error:', error.message);
-
-        // Return a user-friendly message based on what actually went wrong
-        const userMessage = isTimeout
-            ? "I'm taking a bit longer than usual — please send your message again."
-            : "I ran into a hiccup, please try again in a moment.";
-
-        return res.status(500).json({
-            error: 'Failed to process message',
-            message: error.message,
-            response: userMessage
+        const apiError = toApiError(error);
+        recordRequestMetrics(startedAt, apiError.status, apiError.code);
+        const level = apiError.status >= 500 ? 'error' : 'warn';
+        log[level]('chat request failed', {
+            status: apiError.status, code: apiError.code, details: apiError.details, err: error, latencyMs: Date.now() - startedAt
         });
+
+        // Headers are already out once streaming has begun — report in-band
+        if (streaming) {
+            sendEvent(res, 'error', errorBody(apiError, { requestId }));
+            return res.end();
+        }
+
+        return res.status(apiError.status).json(errorBody(apiError, { requestId }));
     }
-}
\ No newline at end of file
+}
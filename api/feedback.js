@@ -0,0 +1,94 @@
+// Vercel Serverless Function - Answer Feedback
+// POST /api/feedback { requestId, rating: "up" | "down", reason?, comment?, message }
+//   → stores a vote on one bot reply (session token required). `requestId` is the
+//     X-Request-Id of the chat request that produced the reply; voting again on
+//     the same reply replaces the earlier vote.
+// GET /api/feedback[?rating=down] → stored votes, newest first
+//   (requires "Authorization: Bearer <ADMIN_TOKEN>")
+
+import { isAdminRequest } from './_lib/admin-auth.js';
+import { FEEDBACK_RATINGS, getFeedbackStore, saveFeedback, validateFeedback } from './_lib/feedback.js';
+import { getHistoryStore } from './_lib/history.js';
+import { incrementCounter } from './_lib/metrics.js';
+import { getClientIp, takeToken } from './_lib/rate-limit.js';
+import { getRequestSession } from './_lib/session-token.js';
+import { handleCors } from './_lib/cors.js';
+import { getRequestId, logger } from './_lib/logger.js';
+
+// ─── Helper: the visitor question behind a reply, from the session history ────
+// Best effort — feedback is still stored when the history no longer has it.
+async function findQuestion(sessionId, requestId, log) {
+    try {
+        const turns = await getHistoryStore().list(sessionId);
+        return turns.find(turn => turn.role === 'user' && turn.requestId === requestId)?.text ?? null;
+    } catch (err) {
+        log.warn('feedback question lookup failed', { err });
+        return null;
+    }
+}
+
+export default async function handler(req, res) {
+    if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) return;
+
+    const requestId = getRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+    let log = logger.child({ route: 'feedback', requestId });
+
+    if (req.method === 'GET') {
+        if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+        const rating = req.query?.rating;
+        if (rating && !FEEDBACK_RATINGS.includes(rating)) {
+            return res.status(400).json({ error: `rating must be one of ${FEEDBACK_RATINGS.join(', ')}` });
+        }
+        try {
+            const feedback = (await getFeedbackStore().list())
+                .filter(entry => !rating || entry.rating === rating)
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+                .map(({ key, ...entry }) => entry);
+            return res.status(200).json({ feedback });
+        } catch (error) {
+            log.error('Feedback API error', { err: error });
+            return res.status(500).json({ error: 'Failed to load feedback', message: error.message });
+        }
+    }
+
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const session = getRequestSession(req);
+    if (!session) return res.status(401).json({ error: 'Invalid or expired session' });
+    log = log.child({ sessionId: session.sid });
+
+    let body = req.body;
+    if (typeof body === 'string' && body) {
+        try { body = JSON.parse(body); }
+        catch { return res.status(400).json({ error: 'Invalid JSON body' }); }
+    }
+
+    const limited = takeToken('feedback', { ip: getClientIp(req), sessionId: session.sid });
+    if (limited) {
+        res.setHeader('Retry-After', String(limited.retryAfter));
+        return res.status(429).json({ error: 'Too many requests', retryAfter: limited.retryAfter });
+    }
+
+    const { feedback, errors } = validateFeedback(body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid feedback', details: errors });
+    }
+
+    try {
+        const question = await findQuestion(session.sid, feedback.requestId, log);
+        const { feedback: saved, updated } = await saveFeedback({ feedback, sessionId: session.sid, question });
+        if (!updated) incrementCounter('chat_feedback_total', { rating: saved.rating });
+        log.info('feedback recorded', {
+            feedbackId: saved.id, chatRequestId: saved.requestId, rating: saved.rating, reason: saved.reason, updated
+        });
+        return res.status(updated ? 200 : 201).json({ success: true, feedbackId: saved.id, updated });
+
+    } catch (error) {
+        log.error('Feedback API error', { err: error });
+        return res.status(500).json({
+            error: 'Failed to save feedback',
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,224 @@
+// Vercel Serverless Function - Human Handoff
+// Visitors (session token):
+//   POST  /api/handoff { reason?, contact? }      → open a ticket (or get the open one) and notify staff
+//   POST  /api/handoff { ticketId, message }      → send a message to the agent
+//   GET   /api/handoff[?ticketId=&after=<seq>]    → poll for new messages (SSE with Accept: text/event-stream)
+//   PATCH /api/handoff { ticketId, status: "closed" }
+// Staff ("Authorization: Bearer <ADMIN_TOKEN>"):
+//   GET   /api/handoff[?status=waiting]           → list tickets
+//   GET   /api/handoff?ticketId=...               → full ticket, including the transcript
+//   POST  /api/handoff { ticketId, message, author? } → reply as an agent
+//   PATCH /api/handoff { ticketId, status, author? }  → pick up ("active") or close
+
+import { isAdminRequest } from './_lib/admin-auth.js';
+import { getHistoryStore } from './_lib/history.js';
+import {
+    TICKET_STATUSES, addTicketMessage, findOpenTicket, getTicket, listTickets, openTicket, setTicketStatus, visitorView
+} from './_lib/handoff.js';
+import { notifyStaff } from './_lib/notify.js';
+import { getClientIp, takeToken } from './_lib/rate-limit.js';
+import { getRequestSession } from './_lib/session-token.js';
+import { handleCors } from './_lib/cors.js';
+import { getRequestId, logger } from './_lib/logger.js';
+
+// Stream window stays under maxDuration; the widget reconnects when it ends
+export const maxDuration = 30;
+
+const STREAM_WINDOW_MS = 25000;
+const STREAM_POLL_MS = 1500;
+const MAX_MESSAGE_CHARS = 2000;
+const NOTIFY_TRANSCRIPT_TURNS = 10;
+
+// ─── Helper: staff notification for a new ticket ──────────────────────────────
+function describeTicket(ticket) {
+    const lines = [
+        `Ticket: ${ticket.id}`,
+        `Session: ${ticket.sessionId}`,
+        `Reason: ${ticket.reason || '—'}`,
+        `Contact: ${ticket.contact || '—'}`,
+        '',
+        'Recent conversation:'
+    ];
+    const recent = ticket.transcript.slice(-NOTIFY_TRANSCRIPT_TURNS);
+    if (recent.length === 0) lines.push('(no messages yet)');
+    recent
+        .filter(turn => turn.role !== 'system')
+        .forEach(turn => lines.push(`${turn.role === 'user' ? 'Visitor' : 'Bot'}: ${turn.text}`));
+    return lines.join('\n');
+}
+
+// ─── Helper: stream new ticket messages as Server-Sent Events ────────────────
+// Re-reads the ticket every STREAM_POLL_MS for STREAM_WINDOW_MS, then closes;
+// serverless functions can't hold a connection open indefinitely.
+async function streamTicket(req, res, ticketId, after) {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders?.();
+
+    let closed = false;
+    req.on?.('close', () => { closed = true; });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const deadline = Date.now() + STREAM_WINDOW_MS;
+    let cursor = after;
+    let status = null;
+
+    while (!closed && Date.now() < deadline) {
+        const ticket = await getTicket(ticketId);
+        if (!ticket) break;
+
+        const view = visitorView(ticket, cursor);
+        view.messages.forEach(message => send('message', message));
+        if (view.messages.length > 0) cursor = view.messages[view.messages.length - 1].seq;
+        if (ticket.status !== status) {
+            status = ticket.status;
+            send('status', { status, agent: ticket.agent });
+        }
+        if (status === 'closed') break;
+
+        res.write(': ping\n\n');
+        await new Promise(resolve => setTimeout(resolve, STREAM_POLL_MS));
+    }
+
+    send('end', { after: cursor });
+    res.end();
+}
+
+function parseBody(req) {
+    let body = req.body;
+    if (typeof body === 'string' && body) body = JSON.parse(body);
+    return body && typeof body === 'object' ? body : {};
+}
+
+export default async function handler(req, res) {
+    if (handleCors(req, res, { methods: 'GET, POST, PATCH, OPTIONS' })) return;
+    if (!['GET', 'POST', 'PATCH'].includes(req.method)) return res.status(405).json({ error: 'Method not allowed' });
+
+    const requestId = getRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+    let log = logger.child({ route: 'handoff', requestId });
+
+    const isAdmin = isAdminRequest(req);
+    const session = isAdmin ? null : getRequestSession(req);
+    if (!isAdmin && !session) return res.status(401).json({ error: 'Invalid or expired session' });
+    if (session) log = log.child({ sessionId: session.sid });
+
+    let body;
+    try { body = parseBody(req); }
+    catch { return res.status(400).json({ error: 'Invalid JSON body' }); }
+
+    try {
+        const ticketId = req.query?.ticketId || body.ticketId;
+
+        // ── Visitors only ever touch their own ticket ─────────────────────────
+        let ticket = null;
+        if (ticketId) {
+            ticket = await getTicket(ticketId);
+            if (!ticket || (!isAdmin && ticket.sessionId !== session.sid)) {
+                return res.status(404).json({ error: 'Ticket not found' });
+            }
+            log = log.child({ ticketId: ticket.id });
+        }
+
+        if (session && req.method !== 'GET') {
+            const limited = takeToken('handoff', { ip: getClientIp(req), sessionId: session.sid });
+            if (limited) {
+                res.setHeader('Retry-After', String(limited.retryAfter));
+                return res.status(429).json({ error: 'Too many requests', retryAfter: limited.retryAfter });
+            }
+        }
+
+        // ── GET: poll / stream / list ─────────────────────────────────────────
+        if (req.method === 'GET') {
+            if (!ticket && isAdmin) {
+                const status = req.query?.status;
+                if (status && !TICKET_STATUSES.includes(status)) {
+                    return res.status(400).json({ error: `status must be one of ${TICKET_STATUSES.join(', ')}` });
+                }
+                const tickets = await listTickets({ status });
+                return res.status(200).json({
+                    tickets: tickets.map(({ transcript, messages, ...summary }) => ({ ...summary, messageCount: messages.length }))
+                });
+            }
+
+            if (!ticket) {
+                ticket = await findOpenTicket(session.sid);
+                if (!ticket) return res.status(404).json({ error: 'No open ticket' });
+            }
+
+            const after = Math.max(0, parseInt(req.query?.after, 10) || 0);
+            if (String(req.headers?.accept || '').includes('text/event-stream')) {
+                return await streamTicket(req, res, ticket.id, after);
+            }
+            return res.status(200).json(isAdmin ? ticket : visitorView(ticket, after));
+        }
+
+        // ── PATCH: status changes ─────────────────────────────────────────────
+        if (req.method === 'PATCH') {
+            if (!ticket) return res.status(400).json({ error: 'ticketId is required' });
+            const { status } = body;
+            if (!TICKET_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of ${TICKET_STATUSES.join(', ')}` });
+            }
+            if (!isAdmin && status !== 'closed') return res.status(403).json({ error: 'Forbidden' });
+
+            const updated = await setTicketStatus(ticket.id, status, { author: isAdmin ? body.author : null });
+            log.info('handoff status changed', { status });
+            return res.status(200).json(isAdmin ? updated : visitorView(updated));
+        }
+
+        // ── POST with a ticket: a message from the visitor or an agent ────────
+        if (ticket) {
+            const text = typeof body.message === 'string' ? body.message.trim() : '';
+            if (!text || text.length > MAX_MESSAGE_CHARS) {
+                return res.status(400).json({ error: `message must be 1–${MAX_MESSAGE_CHARS} characters` });
+            }
+            if (ticket.status === 'closed') return res.status(409).json({ error: 'Ticket is closed' });
+
+            const result = await addTicketMessage(ticket.id, isAdmin
+                ? { role: 'agent', text, author: String(body.author || 'Support').slice(0, 80) }
+                : { role: 'user', text });
+            return res.status(200).json({ message: result.message, status: result.ticket.status });
+        }
+
+        // ── POST without a ticket: a visitor asks for a human ─────────────────
+        if (isAdmin) return res.status(400).json({ error: 'ticketId is required' });
+
+        const transcript = await getHistoryStore().list(session.sid).catch(err => {
+            log.warn('could not load transcript for handoff', { err });
+            return [];
+        });
+        const { ticket: opened, created } = await openTicket({
+            sessionId: session.sid,
+            reason: typeof body.reason === 'string' ? body.reason.slice(0, 500) : null,
+            contact: typeof body.contact === 'string' ? body.contact.slice(0, 200) : null,
+            transcript
+        });
+        log = log.child({ ticketId: opened.id });
+
+        let notified = null;
+        if (created) {
+            notified = await notifyStaff({
+                event: 'handoff.created',
+                subject: 'A visitor asked to talk to a human',
+                text: describeTicket(opened),
+                data: { ticketId: opened.id, sessionId: opened.sessionId }
+            }, { webhookUrl: process.env.HANDOFF_WEBHOOK_URL, emailTo: process.env.HANDOFF_EMAIL_TO, log });
+            if (!Object.values(notified).includes(true)) log.error('handoff opened but no staff channel was reached', { notified });
+            log.info('handoff opened', { notified });
+        }
+
+        return res.status(created ? 201 : 200).json({ ...visitorView(opened), created });
+
+    } catch (error) {
+        log.error('Handoff API error', { err: error });
+        if (res.headersSent) return res.end();
+        return res.status(500).json({
+            error: 'Handoff request failed',
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,120 @@
+// Vercel Serverless Function - Health & Readiness
+// GET /api/health          → config presence + circuit state per component
+// GET /api/health?probe=1  → also runs cheap live probes of the chat backend and
+//                            Deepgram (requires "Authorization: Bearer <ADMIN_TOKEN>")
+// Answers 200 while every component is "ok" or "degraded", 503 once any is "down".
+
+import { handleCors } from './_lib/cors.js';
+import { logger } from './_lib/logger.js';
+import { isAdminRequest } from './_lib/admin-auth.js';
+import { getChatAdapter } from './_lib/adapters.js';
+import { getCircuitBreaker } from './_lib/circuit-breaker.js';
+import { getHistoryStore } from './_lib/history.js';
+import { INTENTS } from './_lib/intent-router.js';
+import { isSessionConfigured } from './_lib/session-token.js';
+import { getPublicBaseUrl } from './_lib/uploads.js';
+import { probeUrl } from './_lib/upstream.js';
+
+const DEEPGRAM_PROBE_URL = 'https://api.deepgram.com/v1/projects';
+
+// ─── Helper: fold probe results into a component status ───────────────────────
+function statusFromProbes(probes) {
+    const failed = probes.filter(p => !p.ok).length;
+    if (failed === 0) return 'ok';
+    return failed === probes.length ? 'down' : 'degraded';
+}
+
+async function checkChat(probe) {
+    const backend = (process.env.CHAT_BACKEND || 'n8n').trim().toLowerCase();
+    let adapter;
+    try {
+        adapter = getChatAdapter();
+        const missing = adapter.missingConfig();
+        if (missing) return { status: 'down', backend, configured: false, missing: [missing] };
+    } catch (err) {
+        return { status: 'down', backend, configured: false, error: err.message };
+    }
+
+    // One breaker per upstream target (routed intents have their own)
+    const routes = [...new Set([adapter.name, ...INTENTS.map(i => adapter.routeKey?.(i) ?? adapter.name)])];
+    const circuits = Object.fromEntries(routes.map(route => [route, getCircuitBreaker(route).state]));
+    const anyOpen = Object.values(circuits).some(state => state !== 'closed');
+
+    const component = { status: anyOpen ? 'degraded' : 'ok', backend, configured: true, circuits };
+    if (probe) {
+        component.probes = await adapter.probe();
+        const probeStatus = statusFromProbes(component.probes);
+        if (probeStatus !== 'ok') component.status = probeStatus;
+    }
+    return component;
+}
+
+async function checkTranscription(probe) {
+    const apiKey = process.env.DEEPGRAM_API_KEY;
+    if (!apiKey) return { status: 'down', provider: 'deepgram', configured: false, missing: ['DEEPGRAM_API_KEY'] };
+
+    const component = { status: 'ok', provider: 'deepgram', configured: true };
+    if (probe) {
+        // Listing projects is free and fails fast on a revoked key
+        const result = await probeUrl(DEEPGRAM_PROBE_URL, { headers: { 'Authorization': `Token ${apiKey}` } }, { isHealthy: (r) => r.ok });
+        component.probes = [{ target: 'deepgram', ...result }];
+        component.status = statusFromProbes(component.probes);
+    }
+    return component;
+}
+
+function checkSessions() {
+    return isSessionConfigured()
+        ? { status: 'ok', configured: true }
+        : { status: 'down', configured: false, missing: ['SESSION_SECRET'] };
+}
+
+// Attachments need a trusted origin for their signed links; chat works without them
+function checkUploads() {
+    return getPublicBaseUrl()
+        ? { status: 'ok', configured: true }
+        : { status: 'degraded', configured: false, missing: ['PUBLIC_BASE_URL'] };
+}
+
+function checkHistory() {
+    try {
+        return { status: 'ok', store: getHistoryStore().name };
+    } catch (err) {
+        return { status: 'down', error: err.message };
+    }
+}
+
+export default async function handler(req, res) {
+    if (handleCors(req, res, { methods: 'GET, OPTIONS' })) return;
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    const probe = ['1', 'true'].includes(String(req.query?.probe || '').toLowerCase());
+    if (probe && !isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Live probes require the ADMIN_TOKEN' });
+    }
+
+    try {
+        const [chat, transcription] = await Promise.all([checkChat(probe), checkTranscription(probe)]);
+        const components = { chat, transcription, sessions: checkSessions(), uploads: checkUploads(), history: checkHistory() };
+
+        const statuses = Object.values(components).map(c => c.status);
+        const status = statuses.includes('down') ? 'down' : statuses.includes('degraded') ? 'degraded' : 'ok';
+        if (status !== 'ok') logger.warn('health check not ok', { route: 'health', status, probe });
+
+        return res.status(status === 'down' ? 503 : 200).json({
+            status,
+            timestamp: new Date().toISOString(),
+            probed: probe,
+            components
+        });
+    } catch (error) {
+        logger.error('Health check error', { route: 'health', err: error });
+        return res.status(503).json({
+            status: 'down',
+            timestamp: new Date().toISOString(),
+            error: error.message
+        });
+    }
+}
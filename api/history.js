@@ -0,0 +1,38 @@
+// Vercel Serverless Function - Conversation History
+// GET /api/history?sessionId=... → the ordered transcript recorded by /api/chat
+// Visitors send their session token and may only read their own session;
+// support staff send the ADMIN_TOKEN and may read any session.
+
+import { getHistoryStore } from './_lib/history.js';
+import { isAdminRequest } from './_lib/admin-auth.js';
+import { getRequestSession } from './_lib/session-token.js';
+import { handleCors } from './_lib/cors.js';
+import { logger } from './_lib/logger.js';
+
+export default async function handler(req, res) {
+    if (handleCors(req, res, { methods: 'GET, OPTIONS' })) return;
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    const isAdmin = isAdminRequest(req);
+    const session = isAdmin ? null : getRequestSession(req);
+    if (!isAdmin && !session) return res.status(401).json({ error: 'Invalid or expired session' });
+
+    const sessionId = req.query?.sessionId || session?.sid;
+    if (!sessionId || typeof sessionId !== 'string') {
+        return res.status(400).json({ error: 'sessionId is required' });
+    }
+    if (!isAdmin && sessionId !== session.sid) {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    try {
+        const turns = await getHistoryStore().list(sessionId);
+        return res.status(200).json({ sessionId, turns });
+    } catch (error) {
+        logger.error('History API error', { route: 'history', sessionId, err: error });
+        return res.status(500).json({
+            error: 'Failed to load history',
+            message: error.message
+        });
+    }
+}
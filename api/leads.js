@@ -0,0 +1,107 @@
+// Vercel Serverless Function - Lead Capture
+// POST /api/leads { formId?, fields: { name, email, company, budget, timeline, ... } }
+//   → validates, deduplicates by email, stores the lead and forwards it to
+//     LEADS_WEBHOOK_URL (an n8n workflow or a CRM's inbound webhook).
+//   Answers 201 { success, leadId } for new and known emails alike.
+//   Requires the visitor's session token.
+// GET /api/leads → every stored lead (requires "Authorization: Bearer <ADMIN_TOKEN>")
+
+import { isAdminRequest } from './_lib/admin-auth.js';
+import { recordTurn } from './_lib/history.js';
+import { getLeadStore, upsertLead, validateLeadSubmission } from './_lib/leads.js';
+import { getClientIp, takeToken } from './_lib/rate-limit.js';
+import { getRequestSession } from './_lib/session-token.js';
+import { fetchWithRetry } from './_lib/upstream.js';
+import { handleCors } from './_lib/cors.js';
+import { getRequestId, logger } from './_lib/logger.js';
+
+// ─── Helper: hand the lead to n8n / the CRM ───────────────────────────────────
+// Returns true when delivered, false when it failed, null when not configured.
+// A failed forward never loses the lead: it is already stored.
+async function forwardLead(lead, { event, requestId, log }) {
+    const webhookUrl = process.env.LEADS_WEBHOOK_URL;
+    if (!webhookUrl) return null;
+    try {
+        const response = await fetchWithRetry(
+            webhookUrl,
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ event, lead, requestId })
+            },
+            { retries: 2, delayMs: 1000, timeoutMs: 10000, log, upstream: 'leads' }
+        );
+        await response.body?.cancel();
+        if (!response.ok) throw new Error(`Leads webhook error: ${response.status}`);
+        return true;
+    } catch (err) {
+        log.error('lead forward failed', { leadId: lead.id, err });
+        return false;
+    }
+}
+
+export default async function handler(req, res) {
+    if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) return;
+
+    const requestId = getRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+    let log = logger.child({ route: 'leads', requestId });
+
+    if (req.method === 'GET') {
+        if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+        try {
+            const leads = await getLeadStore().list();
+            leads.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+            return res.status(200).json({ leads });
+        } catch (error) {
+            log.error('Leads API error', { err: error });
+            return res.status(500).json({ error: 'Failed to load leads', message: error.message });
+        }
+    }
+
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const session = getRequestSession(req);
+    if (!session) return res.status(401).json({ error: 'Invalid or expired session' });
+    log = log.child({ sessionId: session.sid });
+
+    let body = req.body;
+    if (typeof body === 'string' && body) {
+        try { body = JSON.parse(body); }
+        catch { return res.status(400).json({ error: 'Invalid JSON body' }); }
+    }
+
+    const limited = takeToken('leads', { ip: getClientIp(req), sessionId: session.sid });
+    if (limited) {
+        res.setHeader('Retry-After', String(limited.retryAfter));
+        return res.status(429).json({ error: 'Too many requests', retryAfter: limited.retryAfter });
+    }
+
+    const { fields, errors } = validateLeadSubmission(body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid lead', details: errors });
+    }
+
+    try {
+        const { lead, duplicate, changed } = await upsertLead({ fields, formId: body.formId, sessionId: session.sid });
+        log = log.child({ leadId: lead.id });
+
+        // The CRM only hears about submissions that changed something
+        const forwarded = changed
+            ? await forwardLead(lead, { event: duplicate ? 'lead.updated' : 'lead.created', requestId, log })
+            : false;
+        await recordTurn(session.sid, { role: 'system', text: 'Lead submitted', leadId: lead.id });
+        log.info('lead captured', { duplicate, changed, forwarded, formId: body.formId || null });
+
+        // The same answer whether or not the email was already known, so the
+        // route can't be used to find out who has left their details
+        return res.status(201).json({ success: true, leadId: lead.id });
+
+    } catch (error) {
+        log.error('Leads API error', { err: error });
+        return res.status(500).json({
+            error: 'Failed to save lead',
+            message: error.message
+        });
+    }
+}
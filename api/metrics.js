@@ -0,0 +1,29 @@
+// Vercel Serverless Function - Operational Metrics
+// GET /api/metrics               → Prometheus text format
+// GET /api/metrics?format=json   → same data as JSON
+// Requires "Authorization: Bearer <ADMIN_TOKEN>".
+
+import { handleCors } from './_lib/cors.js';
+import { logger } from './_lib/logger.js';
+import { isAdminConfigured, isAdminRequest } from './_lib/admin-auth.js';
+import { renderJson, renderPrometheus } from './_lib/metrics.js';
+
+export default async function handler(req, res) {
+    if (handleCors(req, res, { methods: 'GET, OPTIONS' })) return;
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    if (!isAdminConfigured()) {
+        logger.error('ADMIN_TOKEN not configured', { route: 'metrics' });
+        return res.status(500).json({ error: 'Server configuration error' });
+    }
+    if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    const wantsJson = req.query?.format === 'json' ||
+        (req.query?.format !== 'prometheus' && String(req.headers?.accept || '').includes('application/json'));
+    if (wantsJson) return res.status(200).json(renderJson());
+
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.status(200).send(renderPrometheus());
+}
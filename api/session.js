@@ -0,0 +1,47 @@
+// Vercel Serverless Function - Chat Session Issuer
+// POST /api/session                 → new signed session token
+// POST /api/session { token }       → refreshed token for the same session
+// /api/chat and /api/transcribe only accept requests carrying one of these tokens.
+
+import { isSessionConfigured, issueSessionToken, verifySessionToken } from './_lib/session-token.js';
+import { getClientIp, takeToken } from './_lib/rate-limit.js';
+import { handleCors } from './_lib/cors.js';
+import { logger } from './_lib/logger.js';
+
+export default async function handler(req, res) {
+    if (handleCors(req, res, { methods: 'POST, OPTIONS' })) return;
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        let body = req.body;
+        if (typeof body === 'string' && body) {
+            try { body = JSON.parse(body); }
+            catch { return res.status(400).json({ error: 'Invalid JSON body' }); }
+        }
+
+        if (!isSessionConfigured()) {
+            logger.error('SESSION_SECRET not configured', { route: 'session' });
+            return res.status(500).json({ error: 'Server configuration error' });
+        }
+
+        const limited = takeToken('session', { ip: getClientIp(req) });
+        if (limited) {
+            res.setHeader('Retry-After', String(limited.retryAfter));
+            return res.status(429).json({ error: 'Too many requests', retryAfter: limited.retryAfter });
+        }
+
+        // Refresh keeps the sid (and therefore the history) when the old token
+        // is genuine; anything else simply starts a fresh session.
+        const previous = body?.token ? verifySessionToken(body.token, { allowExpired: true }) : null;
+        const session = issueSessionToken(previous?.sid);
+
+        return res.status(200).json({ ...session, refreshed: Boolean(previous) });
+
+    } catch (error) {
+        logger.error('Session API error', { route: 'session', err: error });
+        return res.status(500).json({
+            error: 'Failed to issue session',
+            message: error.message
+        });
+    }
+}
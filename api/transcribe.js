@@ -1,6 +1,12 @@
 // Vercel Serverless Function - Deepgram Transcription Proxy
 // This function securely handles Deepgram API calls without exposing the API key
 
+import { getClientIp, takeToken } from './_lib/rate-limit.js';
+import { getRequestSession, isSessionConfigured } from './_lib/session-token.js';
+import { handleCors } from './_lib/cors.js';
+import { getRequestId, logger } from './_lib/logger.js';
+import { incrementCounter, observeHistogram } from './_lib/metrics.js';
+
 export const config = {
     api: {
         bodyParser: {
@@ -10,13 +16,14 @@ export const config = {
 };
 
 export default async function handler(req, res) {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (handleCors(req, res, { methods: 'POST, OPTIONS' })) return;
 
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
-    }
+    const requestId = getRequestId(req);
+    const startedAt = Date.now();
+    let log = logger.child({ route: 'transcribe', requestId });
+    res.setHeader('X-Request-Id', requestId);
+    // Count every outcome, including the early validation returns
+    res.once?.('finish', () => incrementCounter('transcribe_requests_total', { status: String(res.statusCode) }));
 
     if (req.method !== 'POST') {
         return res.status(405).json({ error: 'Method not allowed' });
@@ -38,9 +45,30 @@ export default async function handler(req, res) {
             return res.status(400).json({ error: 'Audio data is required' });
         }
 
+        // Only sessions signed by /api/session may spend transcription minutes
+        if (!isSessionConfigured()) {
+            log.error('SESSION_SECRET not configured');
+            return res.status(500).json({ error: 'Server configuration error' });
+        }
+        const session = getRequestSession(req);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid or expired session' });
+        }
+        log = log.child({ sessionId: session.sid });
+
+        // Token bucket per client IP + per session — protects the Deepgram budget
+        const limited = takeToken('transcribe', { ip: getClientIp(req), sessionId: session.sid });
+        if (limited) {
+            res.setHeader('Retry-After', String(limited.retryAfter));
+            return res.status(429).json({
+                error: 'Too many requests',
+                retryAfter: limited.retryAfter
+            });
+        }
+
         const deepgramApiKey = process.env.DEEPGRAM_API_KEY;
         if (!deepgramApiKey) {
-            console.error('DEEPGRAM_API_KEY not configured');
+            log.error('DEEPGRAM_API_KEY not configured');
             return res.status(500).json({ error: 'Server configuration error' });
         }
 
@@ -63,7 +91,7 @@ export default async function handler(req, res) {
         try {
             audioBuffer = Buffer.from(base64Data, 'base64');
         } catch (bufErr) {
-            console.error('Failed to decode base64 audio:', bufErr.message);
+            log.warn('Failed to decode base64 audio', { err: bufErr });
             return res.status(400).json({ error: 'Invalid base64 audio data' });
         }
 
@@ -86,11 +114,12 @@ export default async function handler(req, res) {
 
         const contentType = mimeMap[baseType] || baseType;
 
-        console.log(`Transcribing ${audioBuffer.length} bytes | raw mimeType: "${detectedMimeType}" | sending as: "${contentType}"`);
+        log.info('transcribing audio', { bytes: audioBuffer.length, rawMimeType: detectedMimeType, contentType });
 
         // Call Deepgram
         const deepgramUrl = 'https://api.deepgram.com/v1/listen?model=nova-2&smart_format=true&punctuate=true&language=en';
 
+        const upstreamStartedAt = Date.now();
         const deepgramResponse = await fetch(deepgramUrl, {
             method: 'POST',
             headers: {
@@ -101,9 +130,13 @@ export default async function handler(req, res) {
         });
 
         const rawText = await deepgramResponse.text();
+        observeHistogram('upstream_request_duration_seconds', { upstream: 'deepgram' }, (Date.now() - upstreamStartedAt) / 1000);
+        log.info('upstream attempt completed', {
+            attempt: 1, upstreamStatus: deepgramResponse.status, latencyMs: Date.now() - upstreamStartedAt
+        });
 
         if (!deepgramResponse.ok) {
-            console.error(`Deepgram API error ${deepgramResponse.status}:`, rawText);
+            log.error('Deepgram API error', { upstreamStatus: deepgramResponse.status, raw: rawText.slice(0, 500) });
             throw new Error(`Deepgram API error: ${deepgramResponse.status} - ${rawText.slice(0, 300)}`);
         }
 
@@ -111,23 +144,28 @@ export default async function handler(req, res) {
         try {
             data = JSON.parse(rawText);
         } catch {
-            console.error('Failed to parse Deepgram response:', rawText);
+            log.error('Failed to parse Deepgram response', { raw: rawText.slice(0, 500) });
             throw new Error('Invalid JSON from Deepgram');
         }
 
         const transcript = data?.results?.channels?.[0]?.alternatives?.[0]?.transcript || '';
 
         if (!transcript) {
-            console.warn('Deepgram returned empty transcript. Full response:', JSON.stringify(data));
+            incrementCounter('transcribe_empty_transcripts_total');
+            log.warn('Deepgram returned empty transcript', { raw: JSON.stringify(data).slice(0, 500) });
         }
 
-        return res.status(200).json({ transcript, success: true });
+        log.info('transcribe request completed', {
+            status: 200, emptyTranscript: !transcript, latencyMs: Date.now() - startedAt
+        });
+        return res.status(200).json({ transcript, success: true, requestId });
 
     } catch (error) {
-        console.error('Transcription error:', error.message);
+        log.error('transcribe request failed', { status: 500, err: error, latencyMs: Date.now() - startedAt });
         return res.status(500).json({
             error: 'Transcription failed',
-            message: error.message
+            message: error.message,
+            requestId
         });
     }
 }
\ No newline at end of file
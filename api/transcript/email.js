@@ -0,0 +1,167 @@
+// Vercel Serverless Function - Email a Conversation Transcript
+// POST /api/transcript/email { email } → 202 { success: true, confirm: true, turns }
+//   Emails the address a link to confirm it wants the transcript (session token
+//   required). Nothing from the conversation is sent until the link is used.
+// GET  /api/transcript/email?token=… → page with a "Send my transcript" button,
+//   so a mail scanner that follows the link sends nothing
+// POST /api/transcript/email { token } (that page's form) → sends the session's
+//   recorded history (see /api/history) through EMAIL_PROVIDER
+//
+// Abuse limits: the transcript always comes from the server-side history, never
+// from the request, and links in the visitor's own turns are defanged. Each IP
+// and session gets TRANSCRIPT_RATE_LIMIT requests (3 per 10 minutes) and each
+// address at most TRANSCRIPT_RECIPIENT_LIMIT confirmation emails (3 per day).
+
+import { createHash } from 'node:crypto';
+import { getHistoryStore, recordTurn } from '../_lib/history.js';
+import { isValidEmail } from '../_lib/leads.js';
+import { getMailer } from '../_lib/mailer.js';
+import { getClientIp, takeToken } from '../_lib/rate-limit.js';
+import { getRequestSession } from '../_lib/session-token.js';
+import { formatTranscriptText, issueConfirmToken, verifyConfirmToken } from '../_lib/transcript.js';
+import { getPublicBaseUrl } from '../_lib/uploads.js';
+import { handleCors } from '../_lib/cors.js';
+import { getRequestId, logger } from '../_lib/logger.js';
+
+const SUBJECT = 'Your conversation with Moonshot';
+const CONFIRM_SUBJECT = 'Confirm your Moonshot transcript';
+
+// ─── Helper: the recorded turns worth sending ─────────────────────────────────
+async function listTurns(sessionId) {
+    return (await getHistoryStore().list(sessionId)).filter(turn => turn.role !== 'system');
+}
+
+// ─── Helper: minimal page for the confirmation link ───────────────────────────
+function sendPage(res, status, body) {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(status).end(`<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex"><title>${SUBJECT}</title></head>
+<body style="font-family: system-ui, sans-serif; max-width: 32rem; margin: 4rem auto; padding: 0 1rem; line-height: 1.5;">
+${body}
+</body></html>`);
+}
+
+function confirmationText(link) {
+    return [
+        'Someone asked for a copy of a conversation with the Moonshot assistant to be sent to this address.',
+        '',
+        'To receive it, open this link within 24 hours and confirm:',
+        link,
+        '',
+        "If this wasn't you, ignore this email — nothing else will be sent."
+    ].join('\n');
+}
+
+function getConfiguredMailer(log) {
+    try {
+        const mailer = getMailer();
+        const missing = mailer.missingConfig();
+        if (missing) throw new Error(`${missing} not configured (EMAIL_PROVIDER=${mailer.name})`);
+        return mailer;
+    } catch (err) {
+        log.error('transcript mailer misconfigured', { err });
+        return null;
+    }
+}
+
+// ─── Step 2: the recipient confirmed — send the transcript ────────────────────
+async function sendTranscript(req, res, token, log) {
+    const confirmed = verifyConfirmToken(token);
+    if (!confirmed) return sendPage(res, 400, '<p>This link is invalid or has expired. Ask the assistant for a new copy.</p>');
+    log = log.child({ sessionId: confirmed.sid });
+
+    const limited = takeToken('transcript', { ip: getClientIp(req) });
+    if (limited) {
+        res.setHeader('Retry-After', String(limited.retryAfter));
+        return sendPage(res, 429, `<p>Too many attempts — please try again in ${limited.retryAfter}s.</p>`);
+    }
+
+    const mailer = getConfiguredMailer(log);
+    if (!mailer) return sendPage(res, 500, "<p>We couldn't send your transcript right now. Please try again later.</p>");
+
+    try {
+        const turns = await listTurns(confirmed.sid);
+        if (turns.length === 0) return sendPage(res, 404, '<p>That conversation is no longer available.</p>');
+
+        await mailer.send({
+            to: confirmed.email,
+            subject: SUBJECT,
+            text: formatTranscriptText(turns, { title: SUBJECT }),
+            replyTo: process.env.TRANSCRIPT_REPLY_TO || undefined
+        });
+        // The address itself stays out of the logs and the history
+        log.info('transcript emailed', { turns: turns.length, provider: mailer.name, domain: confirmed.email.split('@')[1] });
+        await recordTurn(confirmed.sid, { role: 'system', text: 'Transcript emailed' });
+        return sendPage(res, 200, '<p>Done — your transcript is on its way. You can close this page.</p>');
+
+    } catch (error) {
+        log.error('Transcript email error', { err: error });
+        return sendPage(res, 500, "<p>We couldn't send your transcript right now. Please try again later.</p>");
+    }
+}
+
+export default async function handler(req, res) {
+    if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) return;
+
+    const requestId = getRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+    let log = logger.child({ route: 'transcript-email', requestId });
+
+    if (req.method === 'GET') {
+        const token = String(req.query?.token || '');
+        if (!verifyConfirmToken(token)) return sendPage(res, 400, '<p>This link is invalid or has expired. Ask the assistant for a new copy.</p>');
+        // The token is base64url plus ".", so it is safe inside the attribute
+        return sendPage(res, 200, `<h1 style="font-size: 1.25rem;">${SUBJECT}</h1>
+<p>Send a copy of your conversation with the Moonshot assistant to this address?</p>
+<form method="post"><input type="hidden" name="token" value="${token}"><button type="submit">Send my transcript</button></form>`);
+    }
+
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    let body = req.body;
+    if (typeof body === 'string' && body) {
+        try { body = JSON.parse(body); }
+        catch { return res.status(400).json({ error: 'Invalid JSON body' }); }
+    }
+
+    if (typeof body?.token === 'string') return sendTranscript(req, res, body.token, log);
+
+    // ─── Step 1: a visitor asks for a copy — confirm the address first ────────
+    const session = getRequestSession(req);
+    if (!session) return res.status(401).json({ error: 'Invalid or expired session' });
+    log = log.child({ sessionId: session.sid });
+
+    const email = typeof body?.email === 'string' ? body.email.trim().toLowerCase() : '';
+    if (!isValidEmail(email) || email.length > 200) return res.status(400).json({ error: 'A valid email is required' });
+
+    const limited = takeToken('transcript', { ip: getClientIp(req), sessionId: session.sid })
+        || takeToken('transcriptRecipient', { key: createHash('sha256').update(email).digest('hex') });
+    if (limited) {
+        res.setHeader('Retry-After', String(limited.retryAfter));
+        return res.status(429).json({ error: 'Too many requests', retryAfter: limited.retryAfter });
+    }
+
+    const mailer = getConfiguredMailer(log);
+    const baseUrl = getPublicBaseUrl();
+    if (!baseUrl) log.error('PUBLIC_BASE_URL not configured');
+    if (!mailer || !baseUrl) return res.status(500).json({ error: 'Server configuration error' });
+
+    try {
+        const turns = await listTurns(session.sid);
+        if (turns.length === 0) return res.status(404).json({ error: 'No conversation to send yet' });
+
+        const link = `${baseUrl}/api/transcript/email?token=${issueConfirmToken({ sid: session.sid, email })}`;
+        await mailer.send({ to: email, subject: CONFIRM_SUBJECT, text: confirmationText(link) });
+        log.info('transcript confirmation emailed', { turns: turns.length, provider: mailer.name, domain: email.split('@')[1] });
+        return res.status(202).json({ success: true, confirm: true, turns: turns.length });
+
+    } catch (error) {
+        log.error('Transcript email error', { err: error });
+        return res.status(500).json({
+            error: 'Failed to send transcript',
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,129 @@
+// Vercel Serverless Function - Chat Attachments
+// POST /api/upload { name, type, data: <base64 or data URL> }
+//   → 201 { attachment: { id, name, type, size, url, expiresAt } } (session token required)
+//   Send the returned id in the chat message's `attachments` array.
+// GET  /api/upload?id=...&expires=...&sig=... → the file (signed URL, e.g. for n8n)
+// GET  /api/upload?id=...                      → the file for its own session (session token)
+
+import { getClientIp, takeToken } from './_lib/rate-limit.js';
+import { getRequestSession, isSessionConfigured } from './_lib/session-token.js';
+import {
+    INLINE_TYPES, attachmentRef, getPublicBaseUrl, getUpload, getUploadLimits, matchesDeclaredType, saveUpload, verifyDownloadSignature
+} from './_lib/uploads.js';
+import { handleCors } from './_lib/cors.js';
+import { getRequestId, logger } from './_lib/logger.js';
+
+export const config = {
+    api: {
+        bodyParser: {
+            sizeLimit: '4.5mb',
+        },
+    },
+};
+
+// ─── GET: stream a stored file back ───────────────────────────────────────────
+async function serveUpload(req, res, log) {
+    const { id, expires, sig } = req.query || {};
+    const upload = await getUpload(id);
+    const signed = upload && verifyDownloadSignature(upload.meta.id, expires, sig);
+    const session = signed ? null : getRequestSession(req);
+    if (!upload || (!signed && session?.sid !== upload.meta.sessionId)) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    const { meta, data } = upload;
+    const inline = INLINE_TYPES.includes(meta.type);
+    res.setHeader('Content-Type', meta.type);
+    res.setHeader('Content-Length', String(data.length));
+    const asciiName = meta.name.replace(/[^\x20-\x7e]/g, '_');
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(meta.name)}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    // Visitor content on the API origin: no script, no requests, no same-origin access
+    res.setHeader('Content-Security-Policy', "sandbox; default-src 'none'");
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    log.info('upload served', { uploadId: meta.id, signed: Boolean(signed) });
+    return res.status(200).send(data);
+}
+
+export default async function handler(req, res) {
+    if (handleCors(req, res, { methods: 'GET, POST, OPTIONS' })) return;
+
+    const requestId = getRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+    let log = logger.child({ route: 'upload', requestId });
+
+    if (req.method === 'GET') {
+        try {
+            return await serveUpload(req, res, log);
+        } catch (error) {
+            log.error('Upload API error', { err: error });
+            return res.status(500).json({ error: 'Failed to load file', message: error.message });
+        }
+    }
+
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    if (!isSessionConfigured()) {
+        log.error('SESSION_SECRET not configured');
+        return res.status(500).json({ error: 'Server configuration error' });
+    }
+    const baseUrl = getPublicBaseUrl();
+    if (!baseUrl) {
+        log.error('PUBLIC_BASE_URL not configured');
+        return res.status(500).json({ error: 'Server configuration error' });
+    }
+    const session = getRequestSession(req);
+    if (!session) return res.status(401).json({ error: 'Invalid or expired session' });
+    log = log.child({ sessionId: session.sid });
+
+    let body = req.body;
+    if (typeof body === 'string') {
+        try { body = JSON.parse(body); }
+        catch { return res.status(400).json({ error: 'Invalid JSON body' }); }
+    }
+
+    const limited = takeToken('upload', { ip: getClientIp(req), sessionId: session.sid });
+    if (limited) {
+        res.setHeader('Retry-After', String(limited.retryAfter));
+        return res.status(429).json({ error: 'Too many requests', retryAfter: limited.retryAfter });
+    }
+
+    // Strip data URL prefix if present (e.g. "data:image/png;base64,AAAA...")
+    let { name, type, data } = body || {};
+    if (typeof data === 'string' && data.startsWith('data:')) {
+        const matches = data.match(/^data:([^;,]+)?;base64,(.+)$/);
+        if (matches) {
+            type = type || matches[1];
+            data = matches[2];
+        }
+    }
+    if (typeof data !== 'string' || !data) return res.status(400).json({ error: 'File data is required' });
+
+    const { maxBytes, allowedTypes } = getUploadLimits();
+    type = String(type || '').split(';')[0].trim().toLowerCase();
+    if (!allowedTypes.includes(type)) {
+        return res.status(415).json({ error: 'File type not allowed', allowedTypes });
+    }
+
+    const buffer = Buffer.from(data, 'base64');
+    if (buffer.length === 0) return res.status(400).json({ error: 'File is empty' });
+    if (buffer.length > maxBytes) {
+        return res.status(413).json({ error: 'File too large', maxBytes });
+    }
+    if (!matchesDeclaredType(type, buffer)) {
+        log.warn('upload content does not match its type', { type, size: buffer.length });
+        return res.status(415).json({ error: 'File content does not match its type', allowedTypes });
+    }
+
+    try {
+        const meta = await saveUpload({ sessionId: session.sid, name, type, data: buffer });
+        log.info('upload stored', { uploadId: meta.id, type, size: meta.size });
+        return res.status(201).json({ attachment: attachmentRef(meta, baseUrl) });
+    } catch (error) {
+        log.error('Upload API error', { err: error });
+        return res.status(500).json({
+            error: 'Failed to store file',
+            message: error.message
+        });
+    }
+}
@@ -1,16 +1,36 @@
 // Chat Widget — Enhanced with AI Suggestion Chips
 // Secure API via Vercel Serverless Functions
+// Runs against the #chat-widget markup in index.html, or inside the shadow root
+// that embed.js builds on other sites (it sets window.MoonshotChat = { root, config }).
+
+// ─── Mount point and embed settings ───────────────────────────────────────────
+const widgetRoot = window.MoonshotChat?.root || document;
+const widgetConfig = window.MoonshotChat?.config || {};
+const API_BASE = (widgetConfig.apiBase || '').replace(/\/+$/, '');
+
+// API routes live next to the widget's own files, not on the embedding site
+function apiUrl(path) {
+    return `${API_BASE}${path}`;
+}
 
 // ─── DOM Elements ─────────────────────────────────────────────────────────────
-const chatToggle = document.getElementById('chat-toggle');
-const chatWindow = document.getElementById('chat-window');
-const chatMessages = document.getElementById('chat-messages');
-const chatInput = document.getElementById('chat-input');
-const sendButton = document.getElementById('send-button');
-const micButton = document.getElementById('mic-button');
-const recordingStatus = document.getElementById('recording-status');
-const chatIcon = document.querySelector('.chat-icon');
-const closeIcon = document.querySelector('.close-icon');
+const chatToggle = widgetRoot.getElementById('chat-toggle');
+const chatWindow = widgetRoot.getElementById('chat-window');
+const chatMessages = widgetRoot.getElementById('chat-messages');
+const chatInput = widgetRoot.getElementById('chat-input');
+const sendButton = widgetRoot.getElementById('send-button');
+const micButton = widgetRoot.getElementById('mic-button');
+const recordingStatus = widgetRoot.getElementById('recording-status');
+const attachButton = widgetRoot.getElementById('attach-button');
+const attachInput = widgetRoot.getElementById('attach-input');
+const attachmentTray = widgetRoot.getElementById('attachment-tray');
+const clearHistoryButton = widgetRoot.getElementById('clear-history');
+const transcriptButton = widgetRoot.getElementById('transcript-button');
+const transcriptMenu = widgetRoot.getElementById('transcript-menu');
+const chatIcon = widgetRoot.querySelector('.chat-icon');
+const closeIcon = widgetRoot.querySelector('.close-icon');
+const defaultPlaceholder = chatInput.placeholder;
+const assistantName = widgetRoot.querySelector('.chat-header-text h3')?.textContent.trim() || 'Moonshot Assistant';
 
 // ─── State ─────────────────────────────────────────────────────────────────────
 let isRecording = false;
@@ -19,6 +39,10 @@ let audioStream = null;
 let audioChunks = [];
 let recordedMimeType = 'audio/webm';
 let activeRequests = 0;
+let cooldownUntil = 0;
+let cooldownTimer = null;
+let handoff = null; // { ticketId, after, controller } while a human agent owns the chat
+let pendingAttachments = []; // { localId, file, previewUrl, status, ref, error, upload } waiting to be sent
 
 // ─── Message counter (used to pick context-appropriate fallback chips) ─────────
 let messageCount = 0;
@@ -26,6 +50,27 @@ let messageCount = 0;
 // ─── History of shown chips to prevent redundancy (at most 1 repeat) ──────────
 const shownChipsHistory = new Map();
 
+// ─── Chip intents — routed by /api/chat to the matching n8n workflow ───────────
+// Chips may also carry their own data-intent attribute (see index.html).
+const CHIP_INTENTS = {
+    'Our services': 'FAQ',
+    'See portfolio': 'FAQ',
+    'How it works': 'FAQ',
+    'What do you offer?': 'FAQ',
+    'Get a quote': 'LEAD',
+    'Confirm my booking': 'BOOKING',
+    'Change the time': 'BOOKING',
+    'Book a call': 'BOOKING'
+};
+
+// ─── Chips that open / close a human handoff instead of messaging the bot ─────
+const HANDOFF_CHIP = 'Talk to a human';
+const HANDOFF_END_CHIP = 'Back to the assistant';
+
+// ─── Chips that act on the visitor's booking when one is stored locally ───────
+const BOOKING_RESCHEDULE_CHIP = 'Change the time';
+const BOOKING_CANCEL_CHIP = 'Cancel my booking';
+
 // ─── Fallback chips — contextual 2–3 chips when n8n returns none ───────────────
 function getContextualFallbacks() {
     if (messageCount <= 1) {
@@ -93,54 +138,68 @@ function getSupportedMimeType() {
 }
 
 // ─── Toggle chat window ────────────────────────────────────────────────────────
-chatToggle.addEventListener('click', () => {
+function toggleChatWindow() {
     chatWindow.classList.toggle('hidden');
     chatIcon.classList.toggle('hidden');
     closeIcon.classList.toggle('hidden');
+}
+
+function isChatOpen() {
+    return !chatWindow.classList.contains('hidden');
+}
+
+chatToggle.addEventListener('click', () => {
+    toggleChatWindow();
+    broadcastSync({ type: 'open', open: isChatOpen() });
+    scheduleConversationSave();
 });
 
 // ─── Hook initial suggestion chips ────────────────────────────────────────────
 function setupInitialSuggestions() {
-    const container = document.getElementById('initial-suggestions');
+    const container = widgetRoot.getElementById('initial-suggestions');
     if (!container) return;
 
     const chips = Array.from(container.querySelectorAll('.suggestion-chip'));
     const chipTexts = chips.map(c => c.textContent.trim());
+    const chipIntents = new Map(chips.map(c => [c.textContent.trim(), c.dataset.intent]));
 
     // Clear and re-render using our refined logic
     container.innerHTML = '';
     const filtered = filterAndLimitSuggestions(chipTexts);
 
     filtered.forEach(text => {
-        const chip = document.createElement('button');
-        chip.className = 'suggestion-chip';
-        chip.textContent = text;
-        chip.addEventListener('click', () => handleSuggestionClick(chip));
-        container.appendChild(chip);
+        container.appendChild(createSuggestionChip(text, chipIntents.get(text)));
     });
 }
 setupInitialSuggestions();
 
 // ─── Send on button click ──────────────────────────────────────────────────────
-sendButton.addEventListener('click', () => {
-    const message = chatInput.value.trim();
-    if (message) {
-        sendMessage(message);
-        chatInput.value = '';
-    }
-});
+sendButton.addEventListener('click', () => sendComposer());
 
 // ─── Send on Enter ─────────────────────────────────────────────────────────────
 chatInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
-        const message = chatInput.value.trim();
-        if (message) {
-            sendMessage(message);
-            chatInput.value = '';
-        }
-    }
+    if (e.key === 'Enter') sendComposer();
 });
 
+// ─── Send whatever is in the composer: typed text plus any attachments ────────
+async function sendComposer() {
+    const message = chatInput.value.trim();
+    if ((!message && pendingAttachments.length === 0) || isCoolingDown()) return;
+
+    chatInput.value = '';
+    const queued = pendingAttachments;
+    pendingAttachments = [];
+    renderAttachmentTray();
+
+    // Wait for uploads still in flight; failed ones were already reported
+    await Promise.all(queued.map(item => item.upload));
+    queued.forEach(item => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
+    const attachments = queued.filter(item => item.status === 'ready').map(item => item.ref);
+
+    if (!message && attachments.length === 0) return;
+    sendMessage(message || `📎 ${attachments.map(a => a.name).join(', ')}`, { attachments });
+}
+
 // ─── Mic button ────────────────────────────────────────────────────────────────
 micButton.addEventListener('click', async () => {
     if (!isRecording) await startRecording();
@@ -148,39 +207,257 @@ micButton.addEventListener('click', async () => {
 });
 
 // ─── Add a message bubble ──────────────────────────────────────────────────────
-function addMessage(text, isUser = false) {
+function addMessage(text, isUser = false, { attachments = [], requestId, delivery = null, feedback = null, interrupted = false } = {}) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${isUser ? 'user-message' : 'bot-message'}`;
 
     const contentDiv = document.createElement('div');
     contentDiv.className = 'message-content';
-    contentDiv.textContent = text;
+    // Visitors' own words stay literal; bot replies may use Markdown
+    if (isUser) contentDiv.textContent = text;
+    else renderMarkdown(text, contentDiv);
 
     messageDiv.appendChild(contentDiv);
+    if (attachments.length > 0) {
+        const list = document.createElement('div');
+        list.className = 'message-attachments';
+        attachments.forEach(ref => {
+            const link = createAttachmentItem(ref.name, ref.type.startsWith('image/') ? ref.url : null, 'a');
+            link.href = ref.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.title = ref.name;
+            list.appendChild(link);
+        });
+        messageDiv.appendChild(list);
+    }
+    if (requestId) messageDiv.dataset.requestId = requestId;
+    if (delivery) setDeliveryState(messageDiv, delivery);
+    if (interrupted) setInterruptedState(messageDiv);
     chatMessages.appendChild(messageDiv);
+    recordEntry({
+        kind: 'message',
+        role: isUser ? 'user' : 'bot',
+        text,
+        attachments: attachments.length > 0 ? attachments : undefined,
+        requestId,
+        delivery,
+        feedback,
+        interrupted: interrupted || undefined
+    }, messageDiv);
+    // Replies from the backend can be rated; greetings and error notes can't
+    if (!isUser && requestId) setFeedbackState(messageDiv, feedback);
     scrollToBottom();
     return messageDiv;
 }
 
+// ─── Markdown for bot messages ─────────────────────────────────────────────────
+// A small subset: # headings, - / 1. lists (nested by indent), ``` code blocks,
+// **bold**, *italic*, `code`, [links](https://…) and bare URLs / emails.
+// Everything is built with DOM nodes and text nodes — never innerHTML — so no
+// markup from the backend can reach the page. Links keep only http(s), mailto
+// and tel URLs; anything else is shown as plain text.
+const MARKDOWN_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+const MARKDOWN_INLINE = new RegExp([
+    /`([^`\n]+)`/,                                  // 1 code
+    /\*\*(?=\S)([\s\S]*?\S)\*\*/,                   // 2 bold
+    /__(?=\S)([\s\S]*?\S)__/,                       // 3 bold
+    /\*(?=[^\s*])([\s\S]*?[^\s*])\*/,               // 4 italic
+    /\[([^\]\n]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?\s*\)/, // 5 label, 6 URL
+    /((?:https?:\/\/|www\.)[^\s<]+)/,               // 7 bare URL
+    /([\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,})/     // 8 bare email
+].map(pattern => pattern.source).join('|'), 'i');
+
+function safeLinkUrl(raw) {
+    try {
+        const url = new URL(raw, window.location.href);
+        return MARKDOWN_LINK_PROTOCOLS.includes(url.protocol) ? url : null;
+    } catch {
+        return null;
+    }
+}
+
+// Point `link` at `raw` if it is safe; other sites open in a new tab
+function setSafeHref(link, raw) {
+    const url = safeLinkUrl(raw);
+    if (!url) return false;
+    link.href = url.href;
+    if (/^https?:$/.test(url.protocol) && url.origin !== window.location.origin) {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+    }
+    return true;
+}
+
+function createMarkdownLink(raw, label, { allowLinks }) {
+    const link = document.createElement('a');
+    if (!setSafeHref(link, raw)) return null;
+    if (typeof label === 'string') link.textContent = label;
+    else appendInlineMarkdown(label.text, link, { allowLinks });
+    return link;
+}
+
+// Append `text` to `parent`, turning inline Markdown into elements
+function appendInlineMarkdown(text, parent, { allowLinks = true } = {}) {
+    let rest = text;
+    while (rest) {
+        const match = rest.match(MARKDOWN_INLINE);
+        if (!match) {
+            parent.appendChild(document.createTextNode(rest));
+            break;
+        }
+        if (match.index > 0) parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+        rest = rest.slice(match.index + match[0].length);
+
+        const [whole, code, bold, boldAlt, italic, linkText, linkUrl, bareUrl, email] = match;
+        let node = null;
+        if (code !== undefined) {
+            node = document.createElement('code');
+            node.textContent = code;
+        } else if (bold !== undefined || boldAlt !== undefined) {
+            node = document.createElement('strong');
+            appendInlineMarkdown(bold ?? boldAlt, node, { allowLinks });
+        } else if (italic !== undefined) {
+            node = document.createElement('em');
+            appendInlineMarkdown(italic, node, { allowLinks });
+        } else if (linkText !== undefined) {
+            // Links can't nest, so the label is rendered without autolinks
+            node = allowLinks ? createMarkdownLink(linkUrl, { text: linkText }, { allowLinks: false }) : null;
+            if (!node) {
+                appendInlineMarkdown(linkText, parent, { allowLinks: false });
+                continue;
+            }
+        } else if (bareUrl !== undefined) {
+            // Sentence punctuation after a URL is not part of it
+            const url = bareUrl.replace(/[.,;:!?'")\]]+$/, '');
+            rest = bareUrl.slice(url.length) + rest;
+            node = allowLinks ? createMarkdownLink(url.startsWith('www.') ? `https://${url}` : url, url, { allowLinks: false }) : null;
+            if (!node) node = document.createTextNode(url);
+        } else if (email !== undefined) {
+            node = allowLinks ? createMarkdownLink(`mailto:${email}`, email, { allowLinks: false }) : null;
+            if (!node) node = document.createTextNode(email);
+        } else {
+            node = document.createTextNode(whole);
+        }
+        parent.appendChild(node);
+    }
+}
+
+// Replace `container`'s content with the rendered Markdown of `text`
+function renderMarkdown(text, container) {
+    container.replaceChildren();
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+    let paragraph = null;
+    let lists = []; // open lists, outermost first: { el, indent }
+
+    const closeBlocks = () => {
+        paragraph = null;
+        lists = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            closeBlocks();
+            continue;
+        }
+
+        // ``` fenced code block — kept verbatim
+        if (/^\s*```/.test(line)) {
+            closeBlocks();
+            const code = [];
+            while (++i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i]);
+            const pre = document.createElement('pre');
+            const codeEl = document.createElement('code');
+            codeEl.textContent = code.join('\n');
+            pre.appendChild(codeEl);
+            container.appendChild(pre);
+            continue;
+        }
+
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            closeBlocks();
+            // Bubbles are small, so # starts at h3
+            const el = document.createElement(`h${Math.min(heading[1].length + 2, 6)}`);
+            appendInlineMarkdown(heading[2], el);
+            container.appendChild(el);
+            continue;
+        }
+
+        const item = line.match(/^(\s*)([-*+]|(\d{1,9})[.)])\s+(.*)$/);
+        if (item) {
+            paragraph = null;
+            const indent = item[1].replace(/\t/g, '    ').length;
+            const tag = item[3] !== undefined ? 'ol' : 'ul';
+            while (lists.length > 0 && indent < lists[lists.length - 1].indent) lists.pop();
+
+            let current = lists[lists.length - 1];
+            if (current && indent === current.indent && current.el.tagName.toLowerCase() !== tag) {
+                lists.pop();
+                current = lists[lists.length - 1];
+            }
+            if (!current || indent > current.indent) {
+                const list = document.createElement(tag);
+                if (tag === 'ol' && item[3] !== '1') list.start = Number(item[3]);
+                (current ? current.el.lastElementChild : container).appendChild(list);
+                current = { el: list, indent };
+                lists.push(current);
+            }
+            const li = document.createElement('li');
+            appendInlineMarkdown(item[4], li);
+            current.el.appendChild(li);
+            continue;
+        }
+
+        // A line right under a list item continues that item
+        if (lists.length > 0 && /^\s+/.test(line)) {
+            const li = lists[lists.length - 1].el.lastElementChild;
+            li.appendChild(document.createElement('br'));
+            appendInlineMarkdown(line.trim(), li);
+            continue;
+        }
+
+        lists = [];
+        if (paragraph) {
+            paragraph.appendChild(document.createElement('br'));
+        } else {
+            paragraph = document.createElement('p');
+            container.appendChild(paragraph);
+        }
+        appendInlineMarkdown(line.trim(), paragraph);
+    }
+}
+
 // ─── Render AI suggestion chips after a bot message ───────────────────────────
-function renderSuggestions(suggestions) {
+function renderSuggestions(suggestions, { used = false } = {}) {
     if (!suggestions || !Array.isArray(suggestions) || suggestions.length === 0) return;
 
     const container = document.createElement('div');
     container.className = 'suggestions-container';
 
     suggestions.forEach(text => {
-        const chip = document.createElement('button');
-        chip.className = 'suggestion-chip';
-        chip.textContent = text;
-        chip.addEventListener('click', () => handleSuggestionClick(chip));
+        const chip = createSuggestionChip(text);
+        if (used) chip.classList.add('used');
         container.appendChild(chip);
     });
 
     chatMessages.appendChild(container);
+    recordEntry({ kind: 'chips', chips: suggestions, used }, container);
     scrollToBottom();
 }
 
+// ─── Build one chip, tagging it with its routing intent when known ────────────
+function createSuggestionChip(text, intent = CHIP_INTENTS[text]) {
+    const chip = document.createElement('button');
+    chip.className = 'suggestion-chip';
+    chip.textContent = text;
+    if (intent) chip.dataset.intent = intent;
+    chip.addEventListener('click', () => handleSuggestionClick(chip));
+    return chip;
+}
+
 // ─── Suggestion chip click handler ────────────────────────────────────────────
 function handleSuggestionClick(chip) {
     const text = chip.textContent.trim();
@@ -189,14 +466,50 @@ function handleSuggestionClick(chip) {
     const siblings = chip.closest('.suggestions-container');
     if (siblings) {
         siblings.querySelectorAll('.suggestion-chip').forEach(c => c.classList.add('used'));
+        updateEntry(siblings, { used: true });
+    }
+
+    if (text === HANDOFF_CHIP) return requestHandoff(text);
+    if (text === HANDOFF_END_CHIP) return endHandoff();
+    if (text === BOOKING_RESCHEDULE_CHIP && getStoredBooking()) {
+        addMessage(text, true);
+        return renderSlotPicker({ title: 'Pick a new time' }, { booking: getStoredBooking() });
     }
+    if (text === BOOKING_CANCEL_CHIP && getStoredBooking()) return cancelStoredBooking(text);
 
-    sendMessage(text);
+    sendMessage(text, { intent: chip.dataset.intent });
 }
 
 // ─── Typing indicator ─────────────────────────────────────────────────────────
+let localTyping = false;
+
 function showTypingIndicator() {
-    if (document.getElementById('typing-indicator')) return;
+    if (!localTyping) {
+        localTyping = true;
+        broadcastSync({ type: 'typing', active: true });
+    }
+    updateTypingIndicator();
+}
+
+function removeTypingIndicator() {
+    if (localTyping) {
+        localTyping = false;
+        broadcastSync({ type: 'typing', active: false });
+    }
+    updateTypingIndicator();
+}
+
+// Shown while this tab or another tab is waiting on a reply, always last
+function updateTypingIndicator() {
+    const existing = widgetRoot.getElementById('typing-indicator');
+    if (!localTyping && remoteTyping.size === 0) {
+        existing?.remove();
+        return;
+    }
+    if (existing) {
+        if (existing !== chatMessages.lastElementChild) chatMessages.appendChild(existing);
+        return;
+    }
     const div = document.createElement('div');
     div.className = 'message bot-message';
     div.id = 'typing-indicator';
@@ -205,16 +518,44 @@ function showTypingIndicator() {
     scrollToBottom();
 }
 
-function removeTypingIndicator() {
-    document.getElementById('typing-indicator')?.remove();
-}
-
 // ─── Lock / unlock input ───────────────────────────────────────────────────────
 function setInputLocked(locked) {
     // We no longer lock the input field to allow concurrent messaging
     sendButton.disabled = false;
     chatInput.disabled = false;
-    chatInput.placeholder = 'Ask anything…';
+    chatInput.placeholder = defaultPlaceholder;
+}
+
+// ─── Rate-limit cooldown (after a 429 from the API) ───────────────────────────
+function isCoolingDown() {
+    return Date.now() < cooldownUntil;
+}
+
+function startCooldown(seconds) {
+    cooldownUntil = Date.now() + seconds * 1000;
+    sendButton.disabled = true;
+    clearInterval(cooldownTimer);
+
+    const tick = () => {
+        const remaining = Math.ceil((cooldownUntil - Date.now()) / 1000);
+        if (remaining <= 0) {
+            clearInterval(cooldownTimer);
+            cooldownTimer = null;
+            sendButton.disabled = false;
+            chatInput.placeholder = defaultPlaceholder;
+            return;
+        }
+        chatInput.placeholder = `Please wait ${remaining}s…`;
+    };
+    tick();
+    cooldownTimer = setInterval(tick, 1000);
+}
+
+function getRetryAfterSeconds(response, data) {
+    const header = parseInt(response.headers.get('Retry-After'), 10);
+    if (header > 0) return header;
+    const fromBody = Number(data?.error?.details?.retryAfter ?? data?.retryAfter);
+    return fromBody > 0 ? fromBody : 30;
 }
 
 // ─── Scroll helper ─────────────────────────────────────────────────────────────
@@ -223,11 +564,22 @@ function scrollToBottom() {
 }
 
 // ─── Send message with retry logic ────────────────────────────────────────────
-async function sendMessage(text, { retryCount = 0 } = {}) {
-    if (retryCount === 0) {
-        addMessage(text, true);
-        activeRequests++;
+async function sendMessage(text, { retryCount = 0, intent, requestId = newRequestId(), attachments = [], queued = false } = {}) {
+    if (retryCount === 0 && isCoolingDown()) {
+        const remaining = Math.ceil((cooldownUntil - Date.now()) / 1000);
+        addMessage(`Just a moment — you can send another message in ${remaining}s.`, false);
+        return;
+    }
+
+    // A human agent owns the conversation — route the message to them
+    if (handoff && retryCount === 0 && !queued) return sendHandoffMessage(text, attachments);
+
+    // Outbox messages are already on screen with their pending badge
+    if (retryCount === 0 && !queued) {
+        const bubble = addMessage(text, true, { attachments, requestId });
+        if (isOffline()) return queueMessage(bubble, { text, intent, requestId, attachments });
     }
+    if (retryCount === 0) activeRequests++;
 
     showTypingIndicator();
 
@@ -244,23 +596,42 @@ async function sendMessage(text, { retryCount = 0 } = {}) {
         : null;
 
     try {
+        const sessionToken = await getSessionToken();
+
         const controller = new AbortController();
         const clientTimeout = setTimeout(() => controller.abort(), 58000);
 
-        const response = await fetch('/api/chat', {
+        const response = await fetch(apiUrl('/api/chat'), {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream, application/json',
+                'Authorization': `Bearer ${sessionToken}`,
+                'X-Request-Id': requestId
+            },
             signal: controller.signal,
             body: JSON.stringify({
                 message: text,
                 timestamp: new Date().toISOString(),
-                sessionId: getSessionId()
+                stream: true,
+                version: 2,
+                intent,
+                attachments: attachments.length > 0 ? attachments.map(a => a.id) : undefined
             })
         });
 
         clearTimeout(clientTimeout);
         clearTimeout(slowNoticeTimer);
-        document.getElementById('slow-notice')?.remove();
+        widgetRoot.getElementById('slow-notice')?.remove();
+
+        // The server has it now, whatever it answers
+        settleQueuedMessage(requestId);
+
+        // Streaming reply — the proxy falls back to plain JSON when n8n doesn't stream
+        const contentType = response.headers.get('Content-Type') || '';
+        if (response.ok && contentType.includes('text/event-stream')) {
+            return await renderStreamedReply(response, requestId);
+        }
 
         activeRequests = Math.max(0, activeRequests - 1);
         if (activeRequests === 0) {
@@ -269,152 +640,2017 @@ async function sendMessage(text, { retryCount = 0 } = {}) {
 
         const data = await response.json();
 
+        // Typed error from the v2 contract — branch on its code
+        if (data?.error) {
+            return await handleChatError(text, data, response, { retryCount, intent, requestId, attachments });
+        }
+
         if (!response.ok) {
-            const serverMsg = data?.response || data?.message;
-            if (serverMsg) {
-                addMessage(serverMsg, false);
-            } else if (retryCount < 1) {
-                activeRequests++; // Re-increment for the retry
-                await delay(2500);
-                return sendMessage(text, { retryCount: retryCount + 1 });
-            } else {
-                addMessage("I'm having trouble right now — please try again in a moment.", false);
-            }
+            addMessage(data?.response || "I'm having trouble right now — please try again in a moment.", false);
             return;
         }
 
-        const botResponse = data.response || data.message;
+        const botResponse = data.response;
         if (botResponse && botResponse.trim()) {
             messageCount++;
-            addMessage(botResponse.trim(), false);
-            // Render AI suggestion chips — fall back to contextual defaults if n8n returns none
-            const rawChips = (Array.isArray(data.suggestions) && data.suggestions.length > 0)
-                ? data.suggestions
-                : getContextualFallbacks();
-
-            const filteredChips = filterAndLimitSuggestions(rawChips);
-            renderSuggestions(filteredChips);
+            addMessage(botResponse.trim(), false, { requestId });
+            renderBlocks(data.blocks);
+            renderLeadForm(data.form);
+            renderSlotPicker(data.slotPicker);
+            renderReplySuggestions(data.suggestions);
         } else if (retryCount < 1) {
             activeRequests++; // Re-increment for the retry
             await delay(2000);
-            return sendMessage(text, { retryCount: retryCount + 1 });
+            return sendMessage(text, { retryCount: retryCount + 1, intent, requestId, attachments, queued });
         } else {
             addMessage("I didn't catch that — could you send it again?", false);
         }
 
     } catch (error) {
         clearTimeout(slowNoticeTimer);
-        document.getElementById('slow-notice')?.remove();
+        widgetRoot.getElementById('slow-notice')?.remove();
+        activeRequests = Math.max(0, activeRequests - 1);
         removeTypingIndicator();
 
         const isTimeout = error.name === 'AbortError';
-        console.error(`Send error (attempt ${retryCount + 1}):`, error.message);
+        console.error(`Send error (attempt ${retryCount + 1}, request ${requestId}):`, error.message);
 
-        if (retryCount < 1 && !isTimeout) {
+        if (retryCount < 1 && !isTimeout && !isOffline()) {
             activeRequests++; // Re-increment for the retry
             await delay(3000);
-            return sendMessage(text, { retryCount: retryCount + 1 });
+            return sendMessage(text, { retryCount: retryCount + 1, intent, requestId, attachments, queued });
+        }
+
+        // The request may have reached the server, so a timed-out message is never resent
+        if (isTimeout) {
+            settleQueuedMessage(requestId);
+            addMessage("I'm taking longer than usual — please try sending again.", false);
+            return;
         }
 
-        addMessage(
-            isTimeout
-                ? "I'm taking longer than usual — please try sending again."
-                : "I ran into a hiccup — please try again in a moment.",
-            false
-        );
+        // Offline or still failing — keep it in the outbox instead of dropping it
+        queueMessage(findMessageBubble(requestId), { text, intent, requestId, attachments });
     }
 }
 
-// ─── Utility: promise-based delay ──────────────────────────────────────────────
-const delay = ms => new Promise(r => setTimeout(r, ms));
+// ─── Render AI suggestion chips for a reply ────────────────────────────────────
+function renderReplySuggestions(suggestions) {
+    // Fall back to contextual defaults if n8n returns none
+    const rawChips = (Array.isArray(suggestions) && suggestions.length > 0)
+        ? suggestions
+        : getContextualFallbacks();
 
-// ─── Session ID ────────────────────────────────────────────────────────────────
-function getSessionId() {
-    let id = localStorage.getItem('chat_session_id');
-    if (!id) {
-        id = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        localStorage.setItem('chat_session_id', id);
+    renderSuggestions(filterAndLimitSuggestions(rawChips));
+}
+
+// ─── Read a Server-Sent Events body, calling onEvent(name, data) per event ───
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (frame) => {
+        let event = 'message';
+        let data = '';
+        frame.split('\n').forEach(line => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+        if (!data) return;
+        try { onEvent(event, JSON.parse(data)); }
+        catch (err) { console.warn('Skipping malformed stream event:', err.message); }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r/g, '');
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+        frames.forEach(dispatch);
     }
-    return id;
+    dispatch(buffer + decoder.decode());
 }
 
-// ─── Start recording ───────────────────────────────────────────────────────────
-async function startRecording() {
+// ─── Render a streamed reply token-by-token into one bot bubble ───────────────
+// Badge under a streamed reply that stopped before its `done` event
+function setInterruptedState(bubble) {
+    if (bubble.classList.contains('interrupted')) return;
+    bubble.classList.add('interrupted');
+    const status = document.createElement('div');
+    status.className = 'message-status';
+    status.textContent = 'This reply was cut short — please ask again if anything is missing.';
+    bubble.appendChild(status);
+}
+
+async function renderStreamedReply(response, requestId) {
+    let bubble = null;
+    let text = '';
+    let released = false;
+    let finished = false;
+
+    // Hand the typing indicator back as soon as the reply starts to appear
+    const release = () => {
+        if (released) return;
+        released = true;
+        activeRequests = Math.max(0, activeRequests - 1);
+        if (activeRequests === 0) removeTypingIndicator();
+    };
+
     try {
-        audioStream = await navigator.mediaDevices.getUserMedia({
-            audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+        await readEventStream(response, (event, data) => {
+            if (event === 'token' && data.text) {
+                release();
+                text += data.text;
+                if (!bubble) bubble = addMessage(text, false);
+                else {
+                    renderMarkdown(text, bubble.querySelector('.message-content'));
+                    updateEntry(bubble, { text });
+                }
+                scrollToBottom();
+            } else if (event === 'done') {
+                finished = true;
+                release();
+                const finalText = (data.response || text).trim();
+                if (!bubble) bubble = addMessage(finalText, false, { requestId });
+                else {
+                    renderMarkdown(finalText, bubble.querySelector('.message-content'));
+                    // Rating opens once the whole reply is in
+                    bubble.dataset.requestId = requestId;
+                    updateEntry(bubble, { text: finalText, requestId });
+                    setFeedbackState(bubble, null);
+                }
+                messageCount++;
+                renderBlocks(data.blocks);
+                renderLeadForm(data.form);
+                renderSlotPicker(data.slotPicker);
+                renderReplySuggestions(data.suggestions);
+            } else if (event === 'error') {
+                finished = true;
+                release();
+                // Whatever streamed before the error is not a complete reply
+                if (bubble) {
+                    setInterruptedState(bubble);
+                    updateEntry(bubble, { interrupted: true });
+                }
+                addMessage(data.response || "I ran into a hiccup — please try again in a moment.", false);
+            }
         });
+        // A proxy timeout or a killed function ends the stream without `done` or `error`
+        if (!finished) throw new Error('Stream ended before the reply was complete');
+    } catch (error) {
+        // Nothing shown yet — let sendMessage retry as it would for any failed request
+        if (!bubble) throw error;
+        console.error('Stream interrupted:', error.message);
+        setInterruptedState(bubble);
+        updateEntry(bubble, { interrupted: true });
+    } finally {
+        release();
+    }
+}
 
-        audioChunks = [];
-        const mimeType = getSupportedMimeType();
-        mediaRecorder = new MediaRecorder(audioStream, mimeType ? { mimeType } : {});
-        recordedMimeType = mediaRecorder.mimeType || mimeType || 'audio/webm';
+// ─── React to a typed /api/chat error (see "Chat API contract" in README) ─────
+async function handleChatError(text, data, response, { retryCount, intent, requestId, attachments }) {
+    const retry = async (waitMs) => {
+        activeRequests++; // Re-increment for the retry
+        await delay(waitMs);
+        return sendMessage(text, { retryCount: retryCount + 1, intent, requestId, attachments });
+    };
+
+    console.warn(`Chat error ${data.error.code} (request ${requestId}):`, data.error.message);
+
+    switch (data.error.code) {
+        case 'SESSION_INVALID':
+            // Session expired or rejected — fetch a fresh token and try once more
+            if (retryCount < 1) {
+                await getSessionToken({ forceRefresh: true });
+                return retry(0);
+            }
+            break;
 
-        mediaRecorder.ondataavailable = e => { if (e.data.size > 0) audioChunks.push(e.data); };
-        mediaRecorder.onstop = async () => {
-            const blob = new Blob(audioChunks, { type: recordedMimeType });
-            if (blob.size === 0) { addMessage('No audio captured. Please try again.', false); return; }
-            const reader = new FileReader();
-            reader.readAsDataURL(blob);
-            reader.onloadend = async () => {
-                await transcribeAudio(reader.result.split(',')[1], recordedMimeType);
-            };
-        };
+        case 'RATE_LIMITED': {
+            // Cool down instead of retrying straight away
+            const seconds = getRetryAfterSeconds(response, data);
+            startCooldown(seconds);
+            addMessage(data.response || `You're sending messages a little fast — please wait ${seconds}s and try again.`, false);
+            return;
+        }
 
-        mediaRecorder.start(250);
-        isRecording = true;
-        micButton.classList.add('recording');
-        recordingStatus.classList.remove('hidden');
-        document.querySelector('.mic-icon').classList.add('hidden');
-        document.querySelector('.mic-recording').classList.remove('hidden');
+        case 'UPSTREAM_ERROR':
+        case 'UPSTREAM_BAD_PAYLOAD':
+            // Usually transient — one more attempt is worth it
+            if (retryCount < 1) return retry(2500);
+            break;
 
-    } catch (err) {
-        console.error('Mic error:', err);
-        addMessage('Could not access microphone. Please check permissions.', false);
+        default:
+            // UPSTREAM_TIMEOUT, VALIDATION_FAILED, CONFIG_ERROR... retrying won't help
+            break;
     }
+
+    addMessage(data.response || "I'm having trouble right now — please try again in a moment.", false);
 }
 
-// ─── Stop recording ────────────────────────────────────────────────────────────
-function stopRecording() {
-    isRecording = false;
-    if (mediaRecorder && mediaRecorder.state !== 'inactive') mediaRecorder.stop();
-    if (audioStream) audioStream.getTracks().forEach(t => t.stop());
-    micButton.classList.remove('recording');
-    recordingStatus.classList.add('hidden');
-    document.querySelector('.mic-icon').classList.remove('hidden');
-    document.querySelector('.mic-recording').classList.add('hidden');
-    mediaRecorder = null;
-    audioStream = null;
+// ─── Request ID — one per user message, reused across its retries ─────────────
+function newRequestId() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return 'req_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 10);
 }
 
-// ─── Transcribe audio ──────────────────────────────────────────────────────────
-async function transcribeAudio(base64Audio, mimeType) {
-    try {
-        showTypingIndicator();
+// ─── Utility: promise-based delay ──────────────────────────────────────────────
+const delay = ms => new Promise(r => setTimeout(r, ms));
+
+// ─── Session (signed token issued by /api/session) ─────────────────────────────
+const SESSION_REFRESH_MARGIN_MS = 60 * 1000;
+let sessionRequest = null;
+
+function getSessionId() {
+    return localStorage.getItem('chat_session_id');
+}
+
+// Returns a valid token, refreshing it shortly before it expires
+async function getSessionToken({ forceRefresh = false } = {}) {
+    const token = localStorage.getItem('chat_session_token');
+    const expiresAt = Date.parse(localStorage.getItem('chat_session_expires') || '');
+    if (token && !forceRefresh && expiresAt - Date.now() > SESSION_REFRESH_MARGIN_MS) return token;
 
-        const response = await fetch('/api/transcribe', {
+    // Concurrent callers share one in-flight request
+    if (!sessionRequest) {
+        sessionRequest = fetch(apiUrl('/api/session'), {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ audio: base64Audio, mimeType })
+            body: JSON.stringify(token ? { token } : {})
+        })
+            .then(async response => {
+                if (!response.ok) throw new Error(`Session error: ${response.status}`);
+                const data = await response.json();
+                localStorage.setItem('chat_session_token', data.token);
+                localStorage.setItem('chat_session_expires', data.expiresAt);
+                localStorage.setItem('chat_session_id', data.sessionId);
+                return data.token;
+            })
+            .finally(() => { sessionRequest = null; });
+    }
+    return sessionRequest;
+}
+
+// ─── Rich blocks under a bot reply (cards, carousels, buttons, quick replies) ──
+// Shapes are documented in api/_lib/blocks.js; the server has already dropped
+// anything malformed, but URLs are checked again before they reach the page.
+function createBlockCard(card) {
+    const el = document.createElement('div');
+    el.className = 'block-card';
+
+    const image = card.image ? safeLinkUrl(card.image) : null;
+    if (image && /^https?:$/.test(image.protocol)) {
+        const img = document.createElement('img');
+        img.src = image.href;
+        img.alt = card.imageAlt || card.title;
+        img.loading = 'lazy';
+        img.addEventListener('error', () => img.remove());
+        el.appendChild(img);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'block-card-body';
+    const title = document.createElement('div');
+    title.className = 'block-card-title';
+    title.textContent = card.title;
+    body.appendChild(title);
+    if (card.text) {
+        const text = document.createElement('div');
+        text.className = 'block-card-text';
+        text.textContent = card.text;
+        body.appendChild(text);
+    }
+    if (card.link) {
+        const link = document.createElement('a');
+        if (setSafeHref(link, card.link.url)) {
+            link.className = 'block-card-link';
+            link.textContent = `${card.link.label} →`;
+            body.appendChild(link);
+        }
+    }
+    el.appendChild(body);
+    return el;
+}
+
+// A link button, or a button that answers the bot with its message
+function createBlockAction(action, className, onSend) {
+    if (action.url) {
+        const link = document.createElement('a');
+        if (!setSafeHref(link, action.url)) return null;
+        link.className = className;
+        link.textContent = action.label;
+        return link;
+    }
+    const button = document.createElement('button');
+    button.className = className;
+    button.textContent = action.label;
+    if (action.intent) button.dataset.intent = action.intent;
+    button.addEventListener('click', () => {
+        onSend?.(button);
+        sendMessage(action.message || action.label, { intent: action.intent });
+    });
+    return button;
+}
+
+function createCarousel(cards) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'block-carousel';
+    const track = document.createElement('div');
+    track.className = 'block-carousel-track';
+    cards.forEach(card => track.appendChild(createBlockCard(card)));
+    wrapper.appendChild(track);
+
+    if (cards.length > 1) {
+        [['‹', -1, 'Previous'], ['›', 1, 'Next']].forEach(([symbol, direction, label]) => {
+            const arrow = document.createElement('button');
+            arrow.className = `block-carousel-arrow ${direction < 0 ? 'prev' : 'next'}`;
+            arrow.setAttribute('aria-label', label);
+            arrow.textContent = symbol;
+            arrow.addEventListener('click', () => {
+                const step = track.firstElementChild?.offsetWidth || 200;
+                track.scrollBy({ left: direction * (step + 10), behavior: 'smooth' });
+            });
+            wrapper.appendChild(arrow);
         });
+    }
+    return wrapper;
+}
 
-        removeTypingIndicator();
+function renderBlocks(blocks, { used = false } = {}) {
+    if (!Array.isArray(blocks) || blocks.length === 0) return;
 
-        if (!response.ok) throw new Error(`Transcription error: ${response.status}`);
+    const container = document.createElement('div');
+    container.className = 'message-blocks';
+
+    blocks.forEach(block => {
+        if (block.type === 'card') {
+            container.appendChild(createBlockCard(block));
+        } else if (block.type === 'carousel' && Array.isArray(block.cards)) {
+            container.appendChild(createCarousel(block.cards));
+        } else if (block.type === 'buttons' && Array.isArray(block.buttons)) {
+            const group = document.createElement('div');
+            group.className = 'block-buttons';
+            block.buttons.forEach(action => {
+                const button = createBlockAction(action, 'block-button');
+                if (button) group.appendChild(button);
+            });
+            container.appendChild(group);
+        } else if (block.type === 'quick_replies' && Array.isArray(block.replies)) {
+            // Quick replies behave like chips: one answer, then the group is spent
+            const group = document.createElement('div');
+            group.className = 'suggestions-container quick-replies';
+            const markUsed = () => {
+                group.querySelectorAll('.suggestion-chip').forEach(c => c.classList.add('used'));
+                updateEntry(container, { used: true });
+            };
+            block.replies.forEach(action => {
+                const chip = createBlockAction(action, 'suggestion-chip', markUsed);
+                if (chip) group.appendChild(chip);
+            });
+            if (used) group.querySelectorAll('.suggestion-chip').forEach(c => c.classList.add('used'));
+            container.appendChild(group);
+        }
+    });
 
-        const data = await response.json();
+    if (container.childElementCount > 0) {
+        chatMessages.appendChild(container);
+        recordEntry({ kind: 'blocks', blocks, used }, container);
+        scrollToBottom();
+    }
+}
 
-        if (data.transcript && data.transcript.trim()) {
-            sendMessage(data.transcript.trim());
-        } else {
-            addMessage('Could not understand audio. Please speak clearly and try again.', false);
+// ─── Lead capture form (requested by the bot via `form`, posted to /api/leads) ─
+const LEAD_EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+function createLeadInput(field) {
+    let input;
+    if (field.type === 'select') {
+        input = document.createElement('select');
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Select…';
+        input.appendChild(placeholder);
+        (field.options || []).forEach(option => {
+            const el = document.createElement('option');
+            el.value = option;
+            el.textContent = option;
+            input.appendChild(el);
+        });
+    } else if (field.type === 'textarea') {
+        input = document.createElement('textarea');
+        input.rows = 3;
+    } else {
+        input = document.createElement('input');
+        input.type = field.type;
+        if (field.type === 'email') input.autocomplete = 'email';
+        if (field.name === 'name') input.autocomplete = 'name';
+    }
+    input.name = field.name;
+    input.className = 'lead-input';
+    if (field.maxLength) input.maxLength = field.maxLength;
+    return input;
+}
+
+// Returns an error message for one field, or '' when it is valid
+function validateLeadField(field, value) {
+    if (!value) return field.required ? `${field.label} is required` : '';
+    if (field.type === 'email' && !LEAD_EMAIL_PATTERN.test(value)) return 'Please enter a valid email address';
+    if (field.maxLength && value.length > field.maxLength) return `${field.label} is too long`;
+    if (field.type === 'select' && !field.options.includes(value)) return `Please choose a ${field.label.toLowerCase()}`;
+    return '';
+}
+
+function renderLeadForm(form) {
+    if (!form || !Array.isArray(form.fields) || form.fields.length === 0) return;
+
+    const formEl = document.createElement('form');
+    formEl.className = 'lead-form';
+    formEl.noValidate = true;
+
+    const title = document.createElement('div');
+    title.className = 'lead-form-title';
+    title.textContent = form.title;
+    formEl.appendChild(title);
+
+    const inputs = form.fields.map(field => {
+        const label = document.createElement('label');
+        label.className = 'lead-field';
+
+        const caption = document.createElement('span');
+        caption.textContent = field.required ? `${field.label} *` : field.label;
+
+        const input = createLeadInput(field);
+        const error = document.createElement('small');
+        error.className = 'lead-field-error';
+        input.addEventListener('input', () => { error.textContent = ''; label.classList.remove('invalid'); });
+
+        label.append(caption, input, error);
+        formEl.appendChild(label);
+        return { field, input, error, label };
+    });
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'lead-form-submit';
+    submit.textContent = form.submitLabel;
+    formEl.appendChild(submit);
+
+    const status = document.createElement('div');
+    status.className = 'lead-form-status';
+    formEl.appendChild(status);
+
+    formEl.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        // Client-side validation mirrors the checks /api/leads runs again
+        let firstInvalid = null;
+        const fields = {};
+        inputs.forEach(({ field, input, error, label }) => {
+            const value = input.value.trim();
+            const problem = validateLeadField(field, value);
+            error.textContent = problem;
+            label.classList.toggle('invalid', Boolean(problem));
+            if (problem && !firstInvalid) firstInvalid = input;
+            if (value) fields[field.name] = value;
+        });
+        if (firstInvalid) {
+            firstInvalid.focus();
+            return;
+        }
+
+        submit.disabled = true;
+        status.textContent = 'Sending…';
+        try {
+            const sessionToken = await getSessionToken();
+            const response = await fetch(apiUrl('/api/leads'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${sessionToken}`,
+                    'X-Request-Id': newRequestId()
+                },
+                body: JSON.stringify({ formId: form.id, fields })
+            });
+            const data = await response.json().catch(() => null);
+
+            if (response.status === 429) {
+                status.textContent = `Too many attempts — please try again in ${getRetryAfterSeconds(response, data)}s.`;
+                submit.disabled = false;
+                return;
+            }
+            if (!response.ok) {
+                console.warn('Lead rejected:', data?.details || data?.error);
+                throw new Error(`Lead error: ${response.status}`);
+            }
+
+            formEl.remove();
+            addMessage("Thanks! We've got your details and will get back to you within one business day.", false);
+        } catch (err) {
+            console.error('Lead submit error:', err);
+            status.textContent = "Couldn't send that — please try again.";
+            submit.disabled = false;
         }
+    });
+
+    chatMessages.appendChild(formEl);
+    scrollToBottom();
+}
+
+// ─── Answer feedback (thumbs up/down under bot replies, posted to /api/feedback)
+const FEEDBACK_REASONS = [
+    { value: 'wrong', label: 'Wrong' },
+    { value: 'outdated', label: 'Outdated' },
+    { value: 'not_helpful', label: 'Not helpful' },
+    { value: 'other', label: 'Other…' }
+];
+
+// Redraw the feedback row from its state: null, or { rating, reason?, comment? }
+function setFeedbackState(bubble, feedback) {
+    bubble.querySelector('.message-feedback')?.remove();
+
+    const row = document.createElement('div');
+    row.className = 'message-feedback';
+    [['up', '👍', 'Helpful answer'], ['down', '👎', 'Unhelpful answer']].forEach(([rating, icon, label]) => {
+        const button = document.createElement('button');
+        button.className = 'feedback-button';
+        button.textContent = icon;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.setAttribute('aria-pressed', String(feedback?.rating === rating));
+        button.classList.toggle('selected', feedback?.rating === rating);
+        button.addEventListener('click', () => {
+            if (feedback?.rating !== rating) sendFeedback(bubble, { rating });
+        });
+        row.appendChild(button);
+    });
+
+    const note = document.createElement('span');
+    note.className = 'feedback-note';
+    row.appendChild(note);
+
+    if (feedback?.rating === 'up' || feedback?.reason) {
+        note.textContent = 'Thanks for the feedback!';
+    } else if (feedback?.rating === 'down') {
+        note.textContent = 'What went wrong?';
+        row.appendChild(createFeedbackReasons(bubble));
+    }
+    bubble.appendChild(row);
+}
+
+function createFeedbackReasons(bubble) {
+    const reasons = document.createElement('div');
+    reasons.className = 'feedback-reasons';
+
+    FEEDBACK_REASONS.forEach(({ value, label }) => {
+        const chip = document.createElement('button');
+        chip.className = 'feedback-reason';
+        chip.textContent = label;
+        chip.addEventListener('click', () => {
+            if (value !== 'other') return sendFeedback(bubble, { rating: 'down', reason: value });
+
+            // "Other" asks for a few words instead
+            const form = document.createElement('form');
+            form.className = 'feedback-comment';
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.maxLength = 500;
+            input.placeholder = 'Tell us more (optional)';
+            const submit = document.createElement('button');
+            submit.type = 'submit';
+            submit.textContent = 'Send';
+            form.append(input, submit);
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                sendFeedback(bubble, { rating: 'down', reason: 'other', comment: input.value.trim() || undefined });
+            });
+            reasons.replaceWith(form);
+            input.focus();
+        });
+        reasons.appendChild(chip);
+    });
+    return reasons;
+}
+
+// Show the vote at once, then post it; voting again on a reply replaces the vote
+async function sendFeedback(bubble, feedback) {
+    const entry = loggedEntries.get(bubble);
+    const requestId = bubble.dataset.requestId;
+    if (!requestId) return;
+    const previous = entry?.feedback ?? null;
 
+    setFeedbackState(bubble, feedback);
+    updateEntry(bubble, { feedback });
+    scrollToBottom();
+
+    const post = (sessionToken) => fetch(apiUrl('/api/feedback'), {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${sessionToken}`,
+            'X-Request-Id': newRequestId()
+        },
+        body: JSON.stringify({ requestId, ...feedback, message: entry?.text || bubble.querySelector('.message-content').textContent })
+    });
+
+    try {
+        let response = await post(await getSessionToken());
+        if (response.status === 401) response = await post(await getSessionToken({ forceRefresh: true }));
+        if (!response.ok) throw new Error(`Feedback error: ${response.status}`);
     } catch (err) {
-        console.error('Transcription error:', err);
-        removeTypingIndicator();
-        addMessage('Error transcribing audio. Please try again.', false);
+        console.error('Feedback submit error:', err);
+        setFeedbackState(bubble, previous);
+        updateEntry(bubble, { feedback: previous });
+        const note = bubble.querySelector('.feedback-note');
+        if (note) note.textContent = "Couldn't send that — please try again.";
     }
 }
 
+// ─── Meeting slot picker (/api/availability + /api/booking) ───────────────────
+function getStoredBooking() {
+    try { return JSON.parse(localStorage.getItem('chat_booking')); }
+    catch { return null; }
+}
+
+function formatSlot(iso, options = { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) {
+    return new Date(iso).toLocaleString([], options);
+}
+
+async function bookingRequest(method, url, { body } = {}) {
+    const sessionToken = await getSessionToken();
+    return fetch(apiUrl(url), {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${sessionToken}`,
+            'X-Request-Id': newRequestId()
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+// "Add to calendar" link for the invite returned by /api/booking
+function addIcsDownload(ics, bookingId) {
+    const link = document.createElement('a');
+    link.className = 'ics-download';
+    link.href = URL.createObjectURL(new Blob([ics], { type: 'text/calendar' }));
+    link.download = `${bookingId}.ics`;
+    link.textContent = '📅 Add to calendar';
+    chatMessages.appendChild(link);
+    scrollToBottom();
+}
+
+function onBooked(data, { rescheduled = false } = {}) {
+    const { booking, ics } = data;
+    localStorage.setItem('chat_booking', JSON.stringify({ id: booking.id, start: booking.start }));
+    if (booking.email) localStorage.setItem('chat_booking_email', booking.email);
+    addMessage(
+        rescheduled
+            ? `Done — your call is now on ${formatSlot(booking.start)}. Here's the updated invite.`
+            : `You're booked for ${formatSlot(booking.start)}. Here's your calendar invite.`,
+        false
+    );
+    addIcsDownload(ics, booking.id);
+    renderSuggestions([BOOKING_RESCHEDULE_CHIP, BOOKING_CANCEL_CHIP]);
+}
+
+// picker: { title, days } from the bot reply; pass { booking } to reschedule it
+async function renderSlotPicker(picker, { booking = null } = {}) {
+    if (!picker) return;
+
+    const pickerEl = document.createElement('div');
+    pickerEl.className = 'slot-picker';
+
+    const title = document.createElement('div');
+    title.className = 'slot-picker-title';
+    title.textContent = picker.title || 'Pick a time that suits you';
+
+    const dayTabs = document.createElement('div');
+    dayTabs.className = 'slot-days';
+    const slotGrid = document.createElement('div');
+    slotGrid.className = 'slot-grid';
+    const confirmArea = document.createElement('div');
+    confirmArea.className = 'slot-confirm hidden';
+    const status = document.createElement('div');
+    status.className = 'lead-form-status';
+    status.textContent = 'Loading available times…';
+
+    pickerEl.append(title, dayTabs, slotGrid, confirmArea, status);
+    chatMessages.appendChild(pickerEl);
+    scrollToBottom();
+
+    let selected = null;
+
+    const showConfirm = () => {
+        confirmArea.innerHTML = '';
+        confirmArea.classList.remove('hidden');
+
+        const summary = document.createElement('div');
+        summary.className = 'slot-summary';
+        summary.textContent = `${booking ? 'Move to' : 'Selected'}: ${formatSlot(selected.start)}`;
+        confirmArea.appendChild(summary);
+
+        let emailInput = null;
+        let nameInput = null;
+        if (!booking) {
+            nameInput = createLeadInput({ name: 'name', type: 'text', maxLength: 100 });
+            nameInput.placeholder = 'Your name';
+            emailInput = createLeadInput({ name: 'email', type: 'email', maxLength: 200 });
+            emailInput.placeholder = 'Email for the invite';
+            emailInput.value = localStorage.getItem('chat_booking_email') || '';
+            confirmArea.append(nameInput, emailInput);
+        }
+
+        const confirm = document.createElement('button');
+        confirm.type = 'button';
+        confirm.className = 'lead-form-submit';
+        confirm.textContent = booking ? 'Move my booking' : 'Confirm booking';
+        confirmArea.appendChild(confirm);
+
+        confirm.addEventListener('click', async () => {
+            const email = emailInput?.value.trim();
+            if (emailInput && !LEAD_EMAIL_PATTERN.test(email)) {
+                status.textContent = 'Please enter a valid email address for the invite.';
+                emailInput.focus();
+                return;
+            }
+
+            confirm.disabled = true;
+            status.textContent = booking ? 'Moving your booking…' : 'Booking…';
+            try {
+                const response = booking
+                    ? await bookingRequest('PATCH', '/api/booking', { body: { id: booking.id, start: selected.start } })
+                    : await bookingRequest('POST', '/api/booking', { body: { start: selected.start, email, name: nameInput.value.trim() || undefined } });
+                const data = await response.json().catch(() => null);
+
+                if (response.status === 409) {
+                    status.textContent = data?.error || 'That time was just taken — please pick another.';
+                    confirm.disabled = false;
+                    return loadSlots({ keepStatus: true });
+                }
+                if (response.status === 429) {
+                    status.textContent = `Too many attempts — please try again in ${getRetryAfterSeconds(response, data)}s.`;
+                    confirm.disabled = false;
+                    return;
+                }
+                if (!response.ok) throw new Error(`Booking error: ${response.status}`);
+
+                pickerEl.remove();
+                onBooked(data, { rescheduled: Boolean(booking) });
+            } catch (err) {
+                console.error('Booking error:', err);
+                status.textContent = "Couldn't book that — please try again.";
+                confirm.disabled = false;
+            }
+        });
+        scrollToBottom();
+    };
+
+    const showDay = (day, slots) => {
+        dayTabs.querySelectorAll('.slot-day').forEach(tab => tab.classList.toggle('active', tab.dataset.day === day));
+        slotGrid.innerHTML = '';
+        slots.forEach(slot => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'slot-button';
+            button.textContent = formatSlot(slot.start, { hour: '2-digit', minute: '2-digit' });
+            button.addEventListener('click', () => {
+                slotGrid.querySelectorAll('.slot-button').forEach(b => b.classList.remove('selected'));
+                button.classList.add('selected');
+                selected = slot;
+                showConfirm();
+            });
+            slotGrid.appendChild(button);
+        });
+    };
+
+    // Slots are grouped by the visitor's local day
+    const loadSlots = async ({ keepStatus = false } = {}) => {
+        try {
+            const response = await bookingRequest('GET', `/api/availability?days=${picker.days || 7}`);
+            if (!response.ok) throw new Error(`Availability error: ${response.status}`);
+            const { slots } = await response.json();
+
+            const byDay = new Map();
+            slots.forEach(slot => {
+                const day = formatSlot(slot.start, { weekday: 'short', month: 'short', day: 'numeric' });
+                if (!byDay.has(day)) byDay.set(day, []);
+                byDay.get(day).push(slot);
+            });
+
+            dayTabs.innerHTML = '';
+            confirmArea.classList.add('hidden');
+            selected = null;
+            if (byDay.size === 0) {
+                slotGrid.innerHTML = '';
+                status.textContent = 'No open times in the next few days — leave your email and we will reach out.';
+                return;
+            }
+            if (!keepStatus) status.textContent = '';
+
+            byDay.forEach((daySlots, day) => {
+                const tab = document.createElement('button');
+                tab.type = 'button';
+                tab.className = 'slot-day';
+                tab.dataset.day = day;
+                tab.textContent = day;
+                tab.addEventListener('click', () => showDay(day, daySlots));
+                dayTabs.appendChild(tab);
+            });
+            const [firstDay, firstSlots] = byDay.entries().next().value;
+            showDay(firstDay, firstSlots);
+            scrollToBottom();
+        } catch (err) {
+            console.error('Availability error:', err);
+            status.textContent = "Couldn't load available times — please try again later.";
+        }
+    };
+
+    await loadSlots();
+}
+
+async function cancelStoredBooking(text) {
+    addMessage(text, true);
+    const stored = getStoredBooking();
+    try {
+        const response = await bookingRequest('DELETE', `/api/booking?id=${encodeURIComponent(stored.id)}`);
+        if (!response.ok && response.status !== 404) throw new Error(`Booking error: ${response.status}`);
+        localStorage.removeItem('chat_booking');
+        addMessage(`Your call on ${formatSlot(stored.start)} is cancelled. Want to pick another time?`, false);
+        if (response.ok) addIcsDownload((await response.json()).ics, stored.id);
+        renderSuggestions(['Book a call']);
+    } catch (err) {
+        console.error('Cancel booking error:', err);
+        addMessage("I couldn't cancel that just now — please try again in a moment.", false);
+    }
+}
+
+// ─── Attachments (uploaded to /api/upload, sent with the message as IDs) ──────
+const ATTACHMENT_MAX_FILES = 5;
+const ATTACHMENT_MAX_BYTES = 3 * 1024 * 1024;
+const ATTACHMENT_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+let attachmentSeq = 0;
+
+function fileType(file) {
+    if (file.type) return file.type;
+    // Some systems leave .docx untyped
+    return /\.docx$/i.test(file.name) ? 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' : '';
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// A square tile: an image preview, or the file's extension and name
+function createAttachmentItem(name, imageUrl, tag = 'div') {
+    const item = document.createElement(tag);
+    item.className = 'attachment-item';
+    if (imageUrl) {
+        const img = document.createElement('img');
+        img.src = imageUrl;
+        img.alt = name;
+        item.appendChild(img);
+    } else {
+        const label = document.createElement('span');
+        label.className = 'attachment-label';
+        label.textContent = name;
+        item.appendChild(label);
+    }
+    return item;
+}
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onloadend = () => (reader.error ? reject(reader.error) : resolve(reader.result));
+        reader.readAsDataURL(file);
+    });
+}
+
+async function uploadAttachment(file, { isRetry = false } = {}) {
+    const data = await readFileAsDataUrl(file);
+    const sessionToken = await getSessionToken({ forceRefresh: isRetry });
+    const response = await fetch(apiUrl('/api/upload'), {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${sessionToken}`,
+            'X-Request-Id': newRequestId()
+        },
+        body: JSON.stringify({ name: file.name, type: fileType(file), data })
+    });
+
+    if (response.status === 401 && !isRetry) return uploadAttachment(file, { isRetry: true });
+
+    const body = await response.json().catch(() => null);
+    if (response.status === 429) {
+        const seconds = getRetryAfterSeconds(response, body);
+        startCooldown(seconds);
+        throw new Error(`uploads are paused for ${seconds}s`);
+    }
+    if (response.status === 413) throw new Error(`is larger than ${formatBytes(body?.maxBytes || ATTACHMENT_MAX_BYTES)}`);
+    if (response.status === 415) throw new Error("isn't a supported file type");
+    if (!response.ok || !body?.attachment) throw new Error(`could not be uploaded (${response.status})`);
+    return body.attachment;
+}
+
+function renderAttachmentTray() {
+    attachmentTray.replaceChildren();
+    attachmentTray.classList.toggle('hidden', pendingAttachments.length === 0);
+
+    pendingAttachments.forEach(item => {
+        const tile = createAttachmentItem(item.file.name, item.previewUrl);
+        tile.classList.toggle('uploading', item.status === 'uploading');
+        tile.classList.toggle('error', item.status === 'error');
+        tile.title = item.error ? `${item.file.name} ${item.error}` : item.file.name;
+
+        const remove = document.createElement('button');
+        remove.className = 'attachment-remove';
+        remove.setAttribute('aria-label', `Remove ${item.file.name}`);
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+            pendingAttachments = pendingAttachments.filter(p => p !== item);
+            if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+            renderAttachmentTray();
+        });
+        tile.appendChild(remove);
+        attachmentTray.appendChild(tile);
+    });
+}
+
+// Check files locally, then start uploading each one straight away
+function addAttachments(files) {
+    for (const file of files) {
+        if (pendingAttachments.length >= ATTACHMENT_MAX_FILES) {
+            addMessage(`You can attach up to ${ATTACHMENT_MAX_FILES} files per message.`, false);
+            break;
+        }
+        if (!ATTACHMENT_TYPES.includes(fileType(file))) {
+            addMessage(`"${file.name}" isn't a supported file type — try an image, PDF, text or Word file.`, false);
+            continue;
+        }
+        if (file.size > ATTACHMENT_MAX_BYTES) {
+            addMessage(`"${file.name}" is larger than ${formatBytes(ATTACHMENT_MAX_BYTES)}.`, false);
+            continue;
+        }
+
+        const item = {
+            localId: ++attachmentSeq,
+            file,
+            previewUrl: fileType(file).startsWith('image/') ? URL.createObjectURL(file) : null,
+            status: 'uploading',
+            ref: null,
+            error: null
+        };
+        item.upload = uploadAttachment(file)
+            .then(ref => { item.ref = ref; item.status = 'ready'; })
+            .catch(err => {
+                console.error('Upload error:', err);
+                item.status = 'error';
+                item.error = err.message;
+                addMessage(`"${file.name}" ${err.message}.`, false);
+            })
+            .finally(() => { if (pendingAttachments.includes(item)) renderAttachmentTray(); });
+        pendingAttachments.push(item);
+    }
+    renderAttachmentTray();
+}
+
+attachButton.addEventListener('click', () => attachInput.click());
+attachInput.addEventListener('change', () => {
+    addAttachments([...attachInput.files]);
+    attachInput.value = '';
+});
+
+// Paste screenshots straight into the input
+chatInput.addEventListener('paste', (e) => {
+    const files = [...(e.clipboardData?.files || [])];
+    if (files.length === 0) return;
+    e.preventDefault();
+    addAttachments(files);
+});
+
+// Drop files anywhere on the open chat window
+chatWindow.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer?.types.includes('Files')) return;
+    e.preventDefault();
+    chatWindow.classList.add('drag-over');
+});
+chatWindow.addEventListener('dragleave', (e) => {
+    if (!chatWindow.contains(e.relatedTarget)) chatWindow.classList.remove('drag-over');
+});
+chatWindow.addEventListener('drop', (e) => {
+    if (!e.dataTransfer?.files.length) return;
+    e.preventDefault();
+    chatWindow.classList.remove('drag-over');
+    addAttachments([...e.dataTransfer.files]);
+});
+
+// ─── Conversation persistence (IndexedDB, one record per session) ─────────────
+// Every rendered message, chip group and block group is logged as plain data
+// and replayed through the same render functions on the next page load. Forms,
+// slot pickers and other one-off widgets are not kept.
+const CONVERSATION_DB = 'moonshot-chat';
+const CONVERSATION_STORE = 'conversations';
+const MAX_SAVED_ENTRIES = 200;
+const initialMessagesMarkup = chatMessages.innerHTML;
+let conversationLog = [];
+const loggedEntries = new WeakMap(); // rendered element → its log entry
+const entryElements = new Map();     // entry id → rendered element
+let replayingEntry = null;           // set while a saved or synced entry is re-rendered
+let entrySeq = 0;
+let conversationDb = null;
+let saveTimer = null;
+
+function openConversationDb() {
+    if (!conversationDb) {
+        conversationDb = new Promise(resolve => {
+            if (!window.indexedDB) return resolve(null);
+            const request = indexedDB.open(CONVERSATION_DB, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(CONVERSATION_STORE, { keyPath: 'sessionId' });
+            request.onsuccess = () => resolve(request.result);
+            // Private browsing and locked-down browsers may refuse; the chat still works
+            request.onerror = () => {
+                console.warn('Conversation storage unavailable:', request.error?.message);
+                resolve(null);
+            };
+        });
+    }
+    return conversationDb;
+}
+
+async function withConversationStore(mode, action) {
+    const db = await openConversationDb();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const request = action(db.transaction(CONVERSATION_STORE, mode).objectStore(CONVERSATION_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Replayed entries keep their ID so later updates from other tabs still match
+function recordEntry(entry, element) {
+    entry.id = replayingEntry?.id || `${tabId}:${++entrySeq}`;
+    entry.at = replayingEntry ? replayingEntry.at : new Date().toISOString();
+    conversationLog.push(entry);
+    if (conversationLog.length > MAX_SAVED_ENTRIES) conversationLog = conversationLog.slice(-MAX_SAVED_ENTRIES);
+    if (element) {
+        loggedEntries.set(element, entry);
+        entryElements.set(entry.id, element);
+    }
+    broadcastSync({ type: 'entry', entry });
+    scheduleConversationSave();
+}
+
+// Streamed replies grow and chips get used after they were logged
+function updateEntry(element, changes) {
+    const entry = loggedEntries.get(element);
+    if (!entry) return;
+    Object.assign(entry, changes);
+    broadcastSync({ type: 'update', id: entry.id, changes });
+    scheduleConversationSave();
+}
+
+function removeEntry(element) {
+    const entry = loggedEntries.get(element);
+    element.remove();
+    if (!entry) return;
+    conversationLog = conversationLog.filter(e => e !== entry);
+    entryElements.delete(entry.id);
+    broadcastSync({ type: 'remove', id: entry.id });
+    scheduleConversationSave();
+}
+
+function findMessageBubble(requestId) {
+    const entry = requestId && conversationLog.find(e => e.kind === 'message' && e.role === 'user' && e.requestId === requestId);
+    return entry ? entryElements.get(entry.id) || null : null;
+}
+
+function scheduleConversationSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveConversation, 300);
+}
+
+async function saveConversation() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const sessionId = getSessionId() || await getSessionToken().then(getSessionId, () => null);
+    if (!sessionId) return;
+    try {
+        await withConversationStore('readwrite', store => store.put({
+            sessionId,
+            open: isChatOpen(),
+            entries: conversationLog,
+            updatedAt: new Date().toISOString()
+        }));
+    } catch (err) {
+        console.warn('Could not save the conversation:', err.message);
+    }
+}
+
+// Flush a pending save when the visitor navigates away
+window.addEventListener('pagehide', () => {
+    if (saveTimer) saveConversation();
+});
+
+function replayEntry(entry) {
+    replayingEntry = entry;
+    try {
+        return renderEntry(entry);
+    } finally {
+        replayingEntry = null;
+    }
+}
+
+function renderEntry(entry) {
+    switch (entry.kind) {
+        case 'message':
+            if (entry.role === 'bot') messageCount++;
+            return addMessage(entry.text, entry.role === 'user', {
+                attachments: entry.attachments || [],
+                requestId: entry.requestId,
+                // Another tab may have sent it since
+                delivery: entry.delivery && isQueued(entry.requestId) ? entry.delivery : null,
+                feedback: entry.feedback,
+                interrupted: entry.interrupted
+            });
+        case 'agent':
+            return addAgentMessage(entry.text, entry.author, { seq: entry.seq, ticketId: entry.ticketId });
+        case 'notice':
+            return addHandoffNotice(entry.text, { seq: entry.seq, ticketId: entry.ticketId });
+        case 'chips':
+            return renderSuggestions(entry.chips, { used: entry.used });
+        case 'blocks':
+            return renderBlocks(entry.blocks, { used: entry.used });
+    }
+}
+
+function lastRestoredSeq(ticketId) {
+    return conversationLog.reduce((max, entry) => (entry.ticketId === ticketId && entry.seq > max ? entry.seq : max), 0);
+}
+
+async function restoreConversation() {
+    const sessionId = getSessionId();
+    if (!sessionId) return;
+    let saved;
+    try {
+        saved = await withConversationStore('readonly', store => store.get(sessionId));
+    } catch (err) {
+        console.warn('Could not restore the conversation:', err.message);
+        return;
+    }
+    if (!saved?.entries?.length) return;
+
+    saved.entries.forEach(replayEntry);
+    const divider = document.createElement('div');
+    divider.className = 'history-divider';
+    divider.textContent = 'Conversation restored';
+    chatMessages.appendChild(divider);
+
+    if (saved.open && !isChatOpen()) toggleChatWindow();
+    scrollToBottom();
+}
+
+function resetConversationView() {
+    conversationLog = [];
+    entryElements.clear();
+    messageCount = 0;
+    shownChipsHistory.clear();
+    chatMessages.innerHTML = initialMessagesMarkup;
+    setupInitialSuggestions();
+    updateTypingIndicator();
+    clearTimeout(saveTimer);
+    saveTimer = null;
+}
+
+// Wipe this device's copy; the server-side transcript is not affected
+async function clearConversation() {
+    if (!window.confirm('Clear this conversation from this device?')) return;
+    const sessionId = getSessionId();
+    resetConversationView();
+    broadcastSync({ type: 'cleared' });
+    try {
+        if (sessionId) await withConversationStore('readwrite', store => store.delete(sessionId));
+    } catch (err) {
+        console.warn('Could not clear the conversation:', err.message);
+    }
+}
+
+clearHistoryButton?.addEventListener('click', clearConversation);
+
+// ─── Transcript export (download, or email through /api/transcript/email) ─────
+// Downloads are built from the conversation on screen; the emailed copy comes
+// from the server-side history of the session.
+const TRANSCRIPT_TITLE = `Conversation with ${assistantName}`;
+
+function transcriptMessages() {
+    return conversationLog
+        .filter(entry => ['message', 'agent', 'notice'].includes(entry.kind) && entry.delivery !== 'pending')
+        .map(entry => ({
+            role: entry.kind === 'message' ? (entry.role === 'user' ? 'user' : 'assistant') : (entry.kind === 'agent' ? 'agent' : 'system'),
+            author: entry.kind === 'agent' ? entry.author || 'Moonshot team' : undefined,
+            text: entry.text,
+            timestamp: entry.at || null,
+            attachments: entry.attachments?.map(({ name, type, url }) => ({ name, type, url }))
+        }));
+}
+
+function transcriptSpeaker(message) {
+    if (message.role === 'user') return 'You';
+    if (message.role === 'agent') return message.author;
+    return message.role === 'system' ? 'Note' : assistantName;
+}
+
+function formatTranscriptTime(iso) {
+    return iso ? new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+const TRANSCRIPT_FORMATS = {
+    text: {
+        extension: 'txt',
+        type: 'text/plain',
+        render(messages, exportedAt) {
+            const lines = [TRANSCRIPT_TITLE, `Saved ${formatTranscriptTime(exportedAt)}`, ''];
+            messages.forEach(message => {
+                const time = formatTranscriptTime(message.timestamp);
+                lines.push(time ? `[${time}] ${transcriptSpeaker(message)}:` : `${transcriptSpeaker(message)}:`);
+                lines.push(message.text);
+                (message.attachments || []).forEach(file => lines.push(`📎 ${file.name}: ${file.url}`));
+                lines.push('');
+            });
+            return lines.join('\n');
+        }
+    },
+    markdown: {
+        extension: 'md',
+        type: 'text/markdown',
+        render(messages, exportedAt) {
+            const lines = [`# ${TRANSCRIPT_TITLE}`, '', `_Saved ${formatTranscriptTime(exportedAt)}_`, ''];
+            messages.forEach(message => {
+                const time = formatTranscriptTime(message.timestamp);
+                lines.push(`**${transcriptSpeaker(message)}**${time ? ` · ${time}` : ''}`, '');
+                lines.push(message.text, '');
+                (message.attachments || []).forEach(file => lines.push(`- 📎 [${file.name}](${file.url})`));
+                if (message.attachments?.length) lines.push('');
+            });
+            return lines.join('\n');
+        }
+    },
+    json: {
+        extension: 'json',
+        type: 'application/json',
+        render(messages, exportedAt) {
+            return JSON.stringify({ title: TRANSCRIPT_TITLE, sessionId: getSessionId(), exportedAt, messages }, null, 2);
+        }
+    }
+};
+
+function downloadTranscript(formatName) {
+    const format = TRANSCRIPT_FORMATS[formatName];
+    const exportedAt = new Date().toISOString();
+    const blob = new Blob([format.render(transcriptMessages(), exportedAt)], { type: `${format.type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `moonshot-chat-${exportedAt.slice(0, 10)}.${format.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Small inline form, in the style of the lead form
+function showTranscriptEmailForm() {
+    widgetRoot.getElementById('transcript-email-form')?.remove();
+
+    const formEl = document.createElement('form');
+    formEl.id = 'transcript-email-form';
+    formEl.className = 'lead-form';
+    formEl.noValidate = true;
+
+    const title = document.createElement('div');
+    title.className = 'lead-form-title';
+    title.textContent = 'Email me a copy of this conversation';
+
+    const input = document.createElement('input');
+    input.type = 'email';
+    input.className = 'lead-input';
+    input.autocomplete = 'email';
+    input.placeholder = 'you@example.com';
+    input.maxLength = 200;
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'lead-form-submit';
+    submit.textContent = 'Send transcript';
+
+    const status = document.createElement('div');
+    status.className = 'lead-form-status';
+
+    formEl.append(title, input, submit, status);
+    formEl.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const email = input.value.trim();
+        if (!LEAD_EMAIL_PATTERN.test(email)) {
+            status.textContent = 'Please enter a valid email address.';
+            input.focus();
+            return;
+        }
+
+        submit.disabled = true;
+        status.textContent = 'Sending…';
+        try {
+            const post = (sessionToken) => fetch(apiUrl('/api/transcript/email'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${sessionToken}`,
+                    'X-Request-Id': newRequestId()
+                },
+                body: JSON.stringify({ email })
+            });
+            let response = await post(await getSessionToken());
+            if (response.status === 401) response = await post(await getSessionToken({ forceRefresh: true }));
+            const data = await response.json().catch(() => null);
+
+            if (response.status === 429) {
+                status.textContent = `Too many attempts — please try again in ${getRetryAfterSeconds(response, data)}s.`;
+                submit.disabled = false;
+                return;
+            }
+            if (response.status === 404) {
+                status.textContent = 'There is nothing to send yet — ask me something first.';
+                submit.disabled = false;
+                return;
+            }
+            if (!response.ok) throw new Error(`Transcript error: ${response.status}`);
+
+            formEl.remove();
+            addMessage(`Almost done — check ${email} and confirm through the link we just sent, and a copy of our conversation will follow.`, false);
+        } catch (err) {
+            console.error('Transcript email error:', err);
+            status.textContent = "Couldn't send that — please try again.";
+            submit.disabled = false;
+        }
+    });
+
+    chatMessages.appendChild(formEl);
+    scrollToBottom();
+    input.focus();
+}
+
+function setTranscriptMenuOpen(open) {
+    transcriptMenu.classList.toggle('hidden', !open);
+    transcriptButton.setAttribute('aria-expanded', String(open));
+    if (!open) return;
+    const empty = transcriptMessages().length === 0;
+    transcriptMenu.querySelectorAll('[data-export]').forEach(item => {
+        item.disabled = empty && item.dataset.export !== 'email';
+    });
+}
+
+transcriptButton?.addEventListener('click', () => {
+    setTranscriptMenuOpen(transcriptMenu.classList.contains('hidden'));
+});
+
+transcriptMenu?.querySelectorAll('[data-export]').forEach(item => {
+    item.addEventListener('click', () => {
+        setTranscriptMenuOpen(false);
+        if (item.dataset.export === 'email') showTranscriptEmailForm();
+        else downloadTranscript(item.dataset.export);
+    });
+});
+
+// Clicks elsewhere and Escape close the menu (composedPath()[0] is the real target, even inside a shadow root)
+document.addEventListener('click', (e) => {
+    if (!transcriptMenu || transcriptMenu.classList.contains('hidden')) return;
+    const target = e.composedPath?.()[0] || e.target;
+    if (!transcriptMenu.parentElement.contains(target)) setTranscriptMenuOpen(false);
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && transcriptMenu && !transcriptMenu.classList.contains('hidden')) setTranscriptMenuOpen(false);
+});
+
+// ─── Cross-tab sync (BroadcastChannel, localStorage events as a fallback) ─────
+// Tabs share one session, so every logged entry and entry update, the typing
+// state, the open/closed state and handoff changes are mirrored to the other
+// tabs, which re-render them without echoing them back. The tab that sent a
+// message owns that request — only it talks to /api/chat, retries and streams —
+// and only one tab at a time listens to /api/handoff.
+const SYNC_CHANNEL = 'moonshot-chat';
+const SYNC_STORAGE_KEY = 'chat_sync_event';
+const tabId = newRequestId();
+const syncChannel = window.BroadcastChannel ? new BroadcastChannel(SYNC_CHANNEL) : null;
+const remoteTyping = new Set(); // other tabs waiting on a reply
+let applyingSync = false;
+
+function broadcastSync(event) {
+    if (applyingSync || replayingEntry) return;
+    const message = { ...event, tabId, sessionId: getSessionId() };
+    if (syncChannel) {
+        syncChannel.postMessage(message);
+        return;
+    }
+    try {
+        // Other tabs get a storage event; removing the key keeps storage clean
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ ...message, sentAt: Date.now() }));
+        localStorage.removeItem(SYNC_STORAGE_KEY);
+    } catch {
+        // Storage full or blocked — this tab just won't sync
+    }
+}
+
+function applyRemoteEntry(entry) {
+    // Handoff messages may reach a tab twice: from its own listener and from the one streaming
+    if (entry.seq && handoff?.ticketId === entry.ticketId) {
+        if (entry.seq <= handoff.after) return;
+        handoff.after = entry.seq;
+    }
+    replayEntry(entry);
+    updateTypingIndicator();
+}
+
+function applyRemoteUpdate(id, changes) {
+    const element = entryElements.get(id);
+    if (!element) return;
+    updateEntry(element, changes);
+    if (typeof changes.text === 'string' && element.classList.contains('bot-message')) {
+        renderMarkdown(changes.text, element.querySelector('.message-content'));
+        scrollToBottom();
+    }
+    if (changes.used) element.querySelectorAll('.suggestion-chip').forEach(chip => chip.classList.add('used'));
+    if ('delivery' in changes) setDeliveryState(element, changes.delivery);
+    if (changes.interrupted) setInterruptedState(element);
+    if (element.classList.contains('bot-message') && ('requestId' in changes || 'feedback' in changes)) {
+        if (changes.requestId) element.dataset.requestId = changes.requestId;
+        setFeedbackState(element, loggedEntries.get(element)?.feedback);
+    }
+}
+
+function applyRemoteHandoff({ ticketId, status, agent }) {
+    if (!ticketId) return exitHandoffMode();
+    if (handoff?.ticketId === ticketId) return;
+    exitHandoffMode();
+    enterHandoffMode({ ticketId, status, agent, messages: [] }, { synced: true });
+}
+
+function handleSyncEvent(message) {
+    if (!message || message.tabId === tabId || message.sessionId !== getSessionId()) return;
+    applyingSync = true;
+    try {
+        switch (message.type) {
+            case 'entry':
+                applyRemoteEntry(message.entry);
+                break;
+            case 'update':
+                applyRemoteUpdate(message.id, message.changes);
+                break;
+            case 'remove':
+                if (entryElements.has(message.id)) removeEntry(entryElements.get(message.id));
+                break;
+            case 'typing':
+                if (message.active) remoteTyping.add(message.tabId);
+                else remoteTyping.delete(message.tabId);
+                updateTypingIndicator();
+                break;
+            case 'open':
+                if (isChatOpen() !== message.open) toggleChatWindow();
+                break;
+            case 'handoff':
+                applyRemoteHandoff(message);
+                break;
+            case 'handoffStatus':
+                if (handoff) setHeaderStatus(message.status, message.agent);
+                break;
+            case 'cleared':
+                resetConversationView();
+                break;
+            case 'gone':
+                // A tab closed; anything it was waiting on won't finish there
+                remoteTyping.delete(message.tabId);
+                updateTypingIndicator();
+                break;
+        }
+    } finally {
+        applyingSync = false;
+    }
+}
+
+if (syncChannel) {
+    syncChannel.addEventListener('message', (e) => handleSyncEvent(e.data));
+} else {
+    window.addEventListener('storage', (e) => {
+        if (e.key !== SYNC_STORAGE_KEY || !e.newValue) return;
+        try {
+            handleSyncEvent(JSON.parse(e.newValue));
+        } catch {
+            // Ignore malformed events
+        }
+    });
+}
+
+window.addEventListener('pagehide', () => broadcastSync({ type: 'gone' }));
+
+// ─── Offline outbox (messages that could not be sent yet) ────────────────────
+// Messages typed while offline, or whose request failed after its retry, wait in
+// localStorage (shared by every tab) with a "pending" badge. They go out in order
+// when the browser is back online; one tab sends them, under a Web Lock. Until
+// then the visitor can edit or cancel each one.
+const OUTBOX_KEY = 'chat_outbox';
+
+function readOutbox() {
+    try {
+        return JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]');
+    } catch {
+        return [];
+    }
+}
+
+function writeOutbox(items) {
+    if (items.length > 0) localStorage.setItem(OUTBOX_KEY, JSON.stringify(items));
+    else localStorage.removeItem(OUTBOX_KEY);
+}
+
+// Browsers without navigator.onLine are treated as online
+function isOffline() {
+    return navigator.onLine === false;
+}
+
+function isQueued(requestId) {
+    return readOutbox().some(item => item.requestId === requestId);
+}
+
+// Returns true when the message was still waiting
+function removeFromOutbox(requestId) {
+    const items = readOutbox();
+    const remaining = items.filter(item => item.requestId !== requestId);
+    if (remaining.length === items.length) return false;
+    writeOutbox(remaining);
+    return true;
+}
+
+// Badge under a user bubble: 'pending' (with Edit / Cancel), 'sending', or null
+function setDeliveryState(bubble, state) {
+    bubble.querySelector('.message-status')?.remove();
+    bubble.classList.toggle('pending', Boolean(state));
+    if (!state) return;
+
+    const status = document.createElement('div');
+    status.className = 'message-status';
+    const label = document.createElement('span');
+    label.textContent = state === 'sending' ? 'Sending…' : "Not sent yet — it will go out when you're back online";
+    status.appendChild(label);
+
+    if (state === 'pending') {
+        [['Edit', true], ['Cancel', false]].forEach(([text, edit]) => {
+            const button = document.createElement('button');
+            button.className = 'message-status-action';
+            button.textContent = text;
+            button.addEventListener('click', () => cancelQueuedMessage(bubble, { edit }));
+            status.appendChild(button);
+        });
+    }
+    bubble.appendChild(status);
+}
+
+function queueMessage(bubble, { text, intent, requestId, attachments = [] }) {
+    if (!isQueued(requestId)) {
+        writeOutbox([...readOutbox(), { requestId, text, intent, attachments, queuedAt: new Date().toISOString() }]);
+    }
+    if (bubble) {
+        setDeliveryState(bubble, 'pending');
+        updateEntry(bubble, { delivery: 'pending' });
+    }
+}
+
+function settleQueuedMessage(requestId) {
+    removeFromOutbox(requestId);
+    const bubble = findMessageBubble(requestId);
+    if (bubble?.classList.contains('pending')) {
+        setDeliveryState(bubble, null);
+        updateEntry(bubble, { delivery: null });
+    }
+}
+
+// Cancel drops the message; Edit also puts it back in the composer
+function cancelQueuedMessage(bubble, { edit = false } = {}) {
+    const item = readOutbox().find(i => i.requestId === bubble.dataset.requestId);
+    if (!item || !removeFromOutbox(item.requestId)) return;
+    removeEntry(bubble);
+    if (!edit) return;
+
+    chatInput.value = item.text;
+    // Its files are already uploaded, so they go back to the tray as-is
+    (item.attachments || []).forEach(ref => pendingAttachments.push({
+        localId: ++attachmentSeq,
+        file: { name: ref.name },
+        previewUrl: null,
+        status: 'ready',
+        ref,
+        error: null,
+        upload: Promise.resolve()
+    }));
+    renderAttachmentTray();
+    chatInput.focus();
+}
+
+let outboxFlushing = false;
+
+async function sendQueuedMessages() {
+    outboxFlushing = true;
+    try {
+        let item;
+        while (!isOffline() && (item = readOutbox()[0])) {
+            if (isCoolingDown()) {
+                setTimeout(flushOutbox, cooldownUntil - Date.now() + 500);
+                break;
+            }
+            const bubble = findMessageBubble(item.requestId);
+            if (bubble) {
+                setDeliveryState(bubble, 'sending');
+                updateEntry(bubble, { delivery: 'sending' });
+            }
+            await sendMessage(item.text, {
+                intent: item.intent,
+                requestId: item.requestId,
+                attachments: item.attachments || [],
+                queued: true
+            });
+            // Still queued means it failed again — keep the order and wait for the next chance
+            if (isQueued(item.requestId)) break;
+        }
+    } finally {
+        outboxFlushing = false;
+    }
+}
+
+function flushOutbox() {
+    if (outboxFlushing || isOffline() || readOutbox().length === 0) return;
+    if (!navigator.locks) return sendQueuedMessages();
+    // Another tab already sending them is enough
+    return navigator.locks.request('moonshot-outbox', { ifAvailable: true }, lock => (lock ? sendQueuedMessages() : null));
+}
+
+window.addEventListener('online', flushOutbox);
+
+// ─── Human handoff (tickets served by /api/handoff) ───────────────────────────
+const HANDOFF_POLL_MS = 4000;
+const headerStatus = widgetRoot.querySelector('.chat-header-text p');
+const defaultHeaderStatus = headerStatus?.innerHTML;
+
+async function handoffRequest(method, { query = '', body, accept = 'application/json', signal } = {}) {
+    const sessionToken = await getSessionToken();
+    return fetch(apiUrl(`/api/handoff${query}`), {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': accept,
+            'Authorization': `Bearer ${sessionToken}`,
+            'X-Request-Id': newRequestId()
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal
+    });
+}
+
+// Agent bubble: distinct avatar + name above the text
+function addAgentMessage(text, author, { seq, ticketId = handoff?.ticketId } = {}) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message bot-message agent-message';
+
+    const name = document.createElement('div');
+    name.className = 'agent-name';
+    name.textContent = `${author || 'Team member'} · Moonshot team`;
+
+    const row = document.createElement('div');
+    row.className = 'agent-row';
+
+    const avatar = document.createElement('div');
+    avatar.className = 'agent-avatar';
+    avatar.textContent = author ? author.trim().charAt(0).toUpperCase() : '👤';
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'message-content';
+    contentDiv.textContent = text;
+
+    row.append(avatar, contentDiv);
+    messageDiv.append(name, row);
+    chatMessages.appendChild(messageDiv);
+    recordEntry({ kind: 'agent', text, author, seq, ticketId }, messageDiv);
+    scrollToBottom();
+    return messageDiv;
+}
+
+function addHandoffNotice(text, { seq, ticketId = handoff?.ticketId } = {}) {
+    const notice = document.createElement('div');
+    notice.className = 'handoff-notice';
+    notice.textContent = text;
+    chatMessages.appendChild(notice);
+    recordEntry({ kind: 'notice', text, seq, ticketId }, notice);
+    scrollToBottom();
+}
+
+function setHeaderStatus(status, agent) {
+    if (!headerStatus) return;
+    if (!status) {
+        headerStatus.innerHTML = defaultHeaderStatus;
+        return;
+    }
+    headerStatus.textContent = status === 'active'
+        ? `Chatting with ${agent || 'our team'}`
+        : 'Waiting for an agent…';
+}
+
+// Ask for a person: open a ticket with the transcript, then wait for an agent
+async function requestHandoff(text) {
+    addMessage(text, true);
+    if (handoff) {
+        addHandoffNotice("You're already in the queue — a team member will be with you shortly.");
+        return;
+    }
+
+    try {
+        showTypingIndicator();
+        const response = await handoffRequest('POST', {
+            body: { reason: `Visitor clicked "${text}" after ${messageCount} bot replies` }
+        });
+        removeTypingIndicator();
+
+        if (response.status === 429) {
+            const data = await response.json().catch(() => null);
+            startCooldown(getRetryAfterSeconds(response, data));
+            addMessage('Please wait a moment before trying again.', false);
+            return;
+        }
+        if (!response.ok) throw new Error(`Handoff error: ${response.status}`);
+
+        enterHandoffMode(await response.json());
+    } catch (err) {
+        console.error('Handoff error:', err);
+        removeTypingIndicator();
+        addMessage("I couldn't reach our team just now — leave your email here and we'll get back to you.", false);
+    }
+}
+
+function enterHandoffMode(view, { resumed = false, synced = false } = {}) {
+    // Messages restored from this device (or mirrored from another tab) are already on screen
+    const restored = synced || (resumed && conversationLog.some(entry => entry.ticketId === view.ticketId));
+    handoff = { ticketId: view.ticketId, after: restored ? lastRestoredSeq(view.ticketId) : 0, controller: new AbortController() };
+    localStorage.setItem('chat_handoff_ticket', view.ticketId);
+    chatInput.placeholder = 'Message our team…';
+
+    broadcastSync({ type: 'handoff', ticketId: view.ticketId, status: view.status, agent: view.agent });
+
+    if (resumed && !restored) addHandoffNotice('Reconnected to your conversation with our team.');
+    applyHandoffView(view);
+    if (handoff) {
+        if (!restored) renderSuggestions([HANDOFF_END_CHIP]);
+        listenForAgentInOneTab(handoff);
+    }
+}
+
+function exitHandoffMode() {
+    if (!handoff) return;
+    handoff.controller.abort();
+    handoff = null;
+    localStorage.removeItem('chat_handoff_ticket');
+    broadcastSync({ type: 'handoff', ticketId: null });
+    chatInput.placeholder = defaultPlaceholder;
+    setHeaderStatus(null);
+}
+
+// Messages the visitor sent are already on screen; show system + agent ones
+function applyHandoffMessage(message) {
+    if (!handoff || message.seq <= handoff.after) return;
+    handoff.after = message.seq;
+    if (message.role === 'agent') addAgentMessage(message.text, message.author, { seq: message.seq });
+    else if (message.role === 'system') addHandoffNotice(message.text, { seq: message.seq });
+}
+
+function applyHandoffStatus({ status, agent }) {
+    if (status === 'closed') {
+        exitHandoffMode();
+        renderSuggestions(['What do you offer?', HANDOFF_CHIP]);
+        return;
+    }
+    setHeaderStatus(status, agent);
+    broadcastSync({ type: 'handoffStatus', status, agent });
+}
+
+function applyHandoffView(view) {
+    (view.messages || []).forEach(applyHandoffMessage);
+    applyHandoffStatus(view);
+}
+
+// Agent replies: SSE first, plain polling when the stream isn't available
+// (e.g. a proxy that buffers event streams). Each stream lasts ~25s, then reconnects.
+async function listenForAgent(current) {
+    let useStream = true;
+    while (handoff === current) {
+        try {
+            const response = await handoffRequest('GET', {
+                query: `?ticketId=${encodeURIComponent(current.ticketId)}&after=${current.after}`,
+                accept: useStream ? 'text/event-stream' : 'application/json',
+                signal: current.controller.signal
+            });
+            if (response.status === 404) {
+                applyHandoffStatus({ status: 'closed' });
+                return;
+            }
+            if (!response.ok) throw new Error(`Handoff poll error: ${response.status}`);
+
+            if ((response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                await readEventStream(response, (event, data) => {
+                    if (handoff !== current) return;
+                    if (event === 'message') applyHandoffMessage(data);
+                    else if (event === 'status') applyHandoffStatus(data);
+                });
+                continue;
+            }
+            applyHandoffView(await response.json());
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            console.warn('Handoff listener error, falling back to polling:', err.message);
+            useStream = false;
+        }
+        await delay(HANDOFF_POLL_MS);
+    }
+}
+
+// Tabs queue for one Web Lock per ticket: the holder listens, the rest get its
+// messages over the sync channel and take over from the last seq they saw if it
+// closes. Without Web Locks every tab listens and duplicates are dropped by seq.
+function listenForAgentInOneTab(current) {
+    if (!navigator.locks) return listenForAgent(current);
+    navigator.locks
+        .request(`moonshot-handoff-${current.ticketId}`, { signal: current.controller.signal }, () => listenForAgent(current))
+        .catch(err => {
+            if (err.name !== 'AbortError') console.warn('Handoff listener lock error:', err.message);
+        });
+}
+
+async function sendHandoffMessage(text, attachments = []) {
+    addMessage(text, true, { attachments });
+    // Agents read plain text, so attachments travel as signed links
+    const message = [text, ...attachments.map(a => `📎 ${a.name}: ${a.url}`)].join('\n');
+    try {
+        const response = await handoffRequest('POST', { body: { ticketId: handoff.ticketId, message } });
+        if (response.status === 409 || response.status === 404) {
+            applyHandoffStatus({ status: 'closed' });
+            addMessage("Our team has closed this conversation — I'm back to help!", false);
+            return;
+        }
+        if (response.status === 429) {
+            const data = await response.json().catch(() => null);
+            startCooldown(getRetryAfterSeconds(response, data));
+        }
+        if (!response.ok) throw new Error(`Handoff message error: ${response.status}`);
+    } catch (err) {
+        console.error('Handoff message error:', err);
+        addHandoffNotice('That message was not delivered — please send it again.');
+    }
+}
+
+async function endHandoff() {
+    if (!handoff) return;
+    const { ticketId } = handoff;
+    try {
+        await handoffRequest('PATCH', { body: { ticketId, status: 'closed' } });
+    } catch (err) {
+        console.warn('Could not close handoff ticket:', err.message);
+    }
+    if (handoff?.ticketId === ticketId) {
+        exitHandoffMode();
+        addMessage("You're back with the assistant — ask me anything.", false);
+    }
+}
+
+// After a reload, pick the open ticket back up
+async function resumeHandoff() {
+    if (!localStorage.getItem('chat_handoff_ticket')) return;
+    try {
+        const response = await handoffRequest('GET');
+        if (!response.ok) {
+            localStorage.removeItem('chat_handoff_ticket');
+            return;
+        }
+        const view = await response.json();
+        if (view.status !== 'closed') enterHandoffMode(view, { resumed: true });
+    } catch (err) {
+        console.warn('Could not resume handoff:', err.message);
+    }
+}
+
+// ─── Start recording ───────────────────────────────────────────────────────────
+async function startRecording() {
+    try {
+        audioStream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+        });
+
+        audioChunks = [];
+        const mimeType = getSupportedMimeType();
+        mediaRecorder = new MediaRecorder(audioStream, mimeType ? { mimeType } : {});
+        recordedMimeType = mediaRecorder.mimeType || mimeType || 'audio/webm';
+
+        mediaRecorder.ondataavailable = e => { if (e.data.size > 0) audioChunks.push(e.data); };
+        mediaRecorder.onstop = async () => {
+            const blob = new Blob(audioChunks, { type: recordedMimeType });
+            if (blob.size === 0) { addMessage('No audio captured. Please try again.', false); return; }
+            const reader = new FileReader();
+            reader.readAsDataURL(blob);
+            reader.onloadend = async () => {
+                await transcribeAudio(reader.result.split(',')[1], recordedMimeType);
+            };
+        };
+
+        mediaRecorder.start(250);
+        isRecording = true;
+        micButton.classList.add('recording');
+        recordingStatus.classList.remove('hidden');
+        widgetRoot.querySelector('.mic-icon').classList.add('hidden');
+        widgetRoot.querySelector('.mic-recording').classList.remove('hidden');
+
+    } catch (err) {
+        console.error('Mic error:', err);
+        addMessage('Could not access microphone. Please check permissions.', false);
+    }
+}
+
+// ─── Stop recording ────────────────────────────────────────────────────────────
+function stopRecording() {
+    isRecording = false;
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') mediaRecorder.stop();
+    if (audioStream) audioStream.getTracks().forEach(t => t.stop());
+    micButton.classList.remove('recording');
+    recordingStatus.classList.add('hidden');
+    widgetRoot.querySelector('.mic-icon').classList.remove('hidden');
+    widgetRoot.querySelector('.mic-recording').classList.add('hidden');
+    mediaRecorder = null;
+    audioStream = null;
+}
+
+// ─── Transcribe audio ──────────────────────────────────────────────────────────
+async function transcribeAudio(base64Audio, mimeType, { isRetry = false } = {}) {
+    try {
+        showTypingIndicator();
+
+        const sessionToken = await getSessionToken({ forceRefresh: isRetry });
+        const response = await fetch(apiUrl('/api/transcribe'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${sessionToken}`,
+                'X-Request-Id': newRequestId()
+            },
+            body: JSON.stringify({ audio: base64Audio, mimeType })
+        });
+
+        removeTypingIndicator();
+
+        if (response.status === 401 && !isRetry) {
+            return transcribeAudio(base64Audio, mimeType, { isRetry: true });
+        }
+
+        if (response.status === 429) {
+            const data = await response.json().catch(() => null);
+            const seconds = getRetryAfterSeconds(response, data);
+            startCooldown(seconds);
+            addMessage(`Voice messages are paused for a moment — please try again in ${seconds}s.`, false);
+            return;
+        }
+
+        if (!response.ok) throw new Error(`Transcription error: ${response.status}`);
+
+        const data = await response.json();
+
+        if (data.transcript && data.transcript.trim()) {
+            sendMessage(data.transcript.trim());
+        } else {
+            addMessage('Could not understand audio. Please speak clearly and try again.', false);
+        }
+
+    } catch (err) {
+        console.error('Transcription error:', err);
+        removeTypingIndicator();
+        addMessage('Error transcribing audio. Please try again.', false);
+    }
+}
+
+// Embeds may ask to start open (data-open="true")
+if (widgetConfig.open && !isChatOpen()) toggleChatWindow();
+
+// Bring back the saved conversation, then warm up the session so the first
+// message doesn't wait for it
+restoreConversation()
+    .then(() => getSessionToken())
+    .then(resumeHandoff)
+    .then(flushOutbox)
+    .catch(err => console.warn('Could not start chat session:', err.message));
+
 console.log('🚀 Moonshot chat widget initialised');
\ No newline at end of file
@@ -0,0 +1,184 @@
+// Moonshot chat — embeddable loader
+// Puts the assistant on any site with one tag:
+//   <script src="https://chat.your-domain.com/embed.js" data-title="Acme Assistant" async></script>
+// It builds the widget inside a Shadow DOM, so the host page's CSS can't reach it
+// and ours can't leak out, loads chat-widget.css into that shadow root and runs
+// chat-widget.js against it. Settings come from data-* attributes on the tag or
+// from window.MoonshotChatConfig (set before the tag); attributes win.
+
+(function () {
+    'use strict';
+
+    if (window.MoonshotChat) return; // Already on the page
+
+    const script = document.currentScript || document.querySelector('script[src*="embed.js"]');
+    const scriptUrl = new URL(script?.src || 'embed.js', window.location.href);
+
+    const DEFAULTS = {
+        apiBase: scriptUrl.origin,
+        assetBase: new URL('.', scriptUrl).href,
+        title: 'Moonshot Assistant',
+        subtitle: 'Online · Ready to help',
+        avatar: '🚀',
+        greeting: "👋 Hi! I'm your Moonshot assistant. Ask me anything about our services, portfolio, or how we can help your brand!",
+        placeholder: 'Ask anything…',
+        suggestions: ['Our services', 'See portfolio', 'Get a quote', 'How it works'],
+        position: 'right',
+        zIndex: 1000,
+        open: false,
+        loadFont: true
+    };
+
+    // ─── Settings: defaults < window.MoonshotChatConfig < data-* attributes ───
+    function readConfig() {
+        const config = { ...DEFAULTS, ...(window.MoonshotChatConfig || {}) };
+        const data = script?.dataset || {};
+        for (const key of Object.keys(DEFAULTS)) {
+            const raw = data[key];
+            if (raw === undefined) continue;
+            if (typeof DEFAULTS[key] === 'boolean') config[key] = raw !== 'false';
+            else if (typeof DEFAULTS[key] === 'number') config[key] = Number(raw) || DEFAULTS[key];
+            else if (Array.isArray(DEFAULTS[key])) config[key] = raw.split('|').map(s => s.trim()).filter(Boolean);
+            else config[key] = raw;
+        }
+        if (typeof config.suggestions === 'string') config.suggestions = config.suggestions.split('|').map(s => s.trim()).filter(Boolean);
+        config.assetBase = config.assetBase.endsWith('/') ? config.assetBase : `${config.assetBase}/`;
+        return config;
+    }
+
+    function escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+    }
+
+    // ─── Widget markup — the same structure as #chat-widget in index.html ─────
+    function widgetMarkup(config) {
+        const chips = config.suggestions
+            .map(text => `<button class="suggestion-chip">${escapeHtml(text)}</button>`)
+            .join('');
+        return `
+<div id="chat-widget" class="${config.position === 'left' ? 'chat-widget-left' : ''}">
+  <button id="chat-toggle" class="chat-toggle" aria-label="Toggle chat">
+    <svg class="chat-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" stroke-linecap="round" stroke-linejoin="round" stroke-width="2"></path></svg>
+    <svg class="close-icon hidden" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M6 18L18 6M6 6l12 12" stroke-linecap="round" stroke-linejoin="round" stroke-width="2"></path></svg>
+  </button>
+  <div id="chat-window" class="chat-window hidden">
+    <div class="chat-header">
+      <div class="chat-header-info">
+        <div class="chat-header-avatar">${escapeHtml(config.avatar)}</div>
+        <div class="chat-header-text">
+          <h3>${escapeHtml(config.title)}</h3>
+          <p><span class="online-dot"></span> ${escapeHtml(config.subtitle)}</p>
+        </div>
+      </div>
+      <div class="chat-header-actions">
+        <div class="header-menu-wrapper">
+          <button id="transcript-button" class="header-action" aria-label="Save conversation" title="Save conversation" aria-haspopup="menu" aria-expanded="false">
+            <svg fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M7 10l5 5m0 0l5-5m-5 5V4" stroke-linecap="round" stroke-linejoin="round" stroke-width="2"></path></svg>
+          </button>
+          <div id="transcript-menu" class="header-menu hidden" role="menu">
+            <button role="menuitem" data-export="text">Download as text</button>
+            <button role="menuitem" data-export="markdown">Download as Markdown</button>
+            <button role="menuitem" data-export="json">Download as JSON</button>
+            <button role="menuitem" data-export="email">Email me a copy…</button>
+          </div>
+        </div>
+        <button id="clear-history" class="header-action" aria-label="Clear conversation" title="Clear conversation">
+          <svg fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" stroke-linecap="round" stroke-linejoin="round" stroke-width="2"></path></svg>
+        </button>
+      </div>
+    </div>
+    <div id="chat-messages" class="chat-messages">
+      <div class="message bot-message"><div class="message-content">${escapeHtml(config.greeting)}</div></div>
+      <div class="suggestions-container" id="initial-suggestions">${chips}</div>
+    </div>
+    <div class="chat-input-container">
+      <div id="attachment-tray" class="attachment-tray hidden"></div>
+      <div class="chat-input-wrapper">
+        <input type="text" id="chat-input" class="chat-input" placeholder="${escapeHtml(config.placeholder)}" autocomplete="off" />
+        <button id="attach-button" class="mic-button attach-button" aria-label="Attach a file">
+          <svg fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" stroke-linecap="round" stroke-linejoin="round" stroke-width="2"></path></svg>
+        </button>
+        <input type="file" id="attach-input" class="hidden" multiple accept="image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,.docx" />
+        <button id="mic-button" class="mic-button" aria-label="Voice input">
+          <svg class="mic-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z" stroke-linecap="round" stroke-linejoin="round" stroke-width="2"></path></svg>
+          <svg class="mic-recording hidden" fill="currentColor" viewBox="0 0 24 24"><circle cx="12" cy="12" r="8"></circle></svg>
+        </button>
+        <button id="send-button" class="send-button" aria-label="Send message">
+          <svg fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" stroke-linecap="round" stroke-linejoin="round" stroke-width="2"></path></svg>
+        </button>
+      </div>
+      <div id="recording-status" class="recording-status hidden">
+        <span class="recording-pulse"></span>
+        <span>Listening… click mic to stop</span>
+      </div>
+    </div>
+  </div>
+</div>`;
+    }
+
+    // ─── Base styles for the shadow root ──────────────────────────────────────
+    // chat-widget.css was written on top of Tailwind's preflight on index.html;
+    // these are the parts of it the widget relies on, plus a reset of anything
+    // the host page would otherwise pass down by inheritance.
+    function baseStyles(config) {
+        return `
+:host { all: initial; }
+#chat-widget { z-index: ${Number(config.zIndex) || DEFAULTS.zIndex}; color: #ffffff; line-height: 1.5; -webkit-font-smoothing: antialiased; }
+*, *::before, *::after { box-sizing: border-box; border-width: 0; border-style: solid; }
+h1, h2, h3, h4, h5, h6, p, ol, ul, pre, blockquote, figure { margin: 0; }
+h1, h2, h3, h4, h5, h6 { font-size: inherit; font-weight: inherit; }
+ol, ul { list-style: none; padding: 0; }
+a { color: inherit; text-decoration: inherit; }
+img, svg { display: block; vertical-align: middle; }
+img { max-width: 100%; height: auto; }
+button, input, select, textarea { font: inherit; color: inherit; margin: 0; padding: 0; }
+button { background-color: transparent; background-image: none; cursor: pointer; }
+button:disabled { cursor: default; }
+input::placeholder, textarea::placeholder { color: #9ca3af; opacity: 1; }`;
+    }
+
+    // ─── Mount ────────────────────────────────────────────────────────────────
+    function mount() {
+        const config = readConfig();
+
+        // Fonts only load from the document, not from inside a shadow root
+        if (config.loadFont && !document.querySelector('link[data-moonshot-font]')) {
+            const font = document.createElement('link');
+            font.rel = 'stylesheet';
+            font.href = 'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap';
+            font.dataset.moonshotFont = '';
+            document.head.appendChild(font);
+        }
+
+        const host = document.createElement('div');
+        host.id = 'moonshot-chat';
+        // Hidden until its stylesheet arrives, so the page never flashes raw markup
+        host.style.visibility = 'hidden';
+        const root = host.attachShadow({ mode: 'open' });
+
+        const base = document.createElement('style');
+        base.textContent = baseStyles(config);
+        const styles = document.createElement('link');
+        styles.rel = 'stylesheet';
+        styles.href = new URL('chat-widget.css', config.assetBase).href;
+        const reveal = () => { host.style.visibility = ''; };
+        styles.addEventListener('load', reveal);
+        styles.addEventListener('error', reveal);
+
+        const container = document.createElement('div');
+        container.innerHTML = widgetMarkup(config);
+        root.append(base, styles, ...container.childNodes);
+        document.body.appendChild(host);
+
+        window.MoonshotChat = { root, config, host };
+
+        // A module keeps the widget's top-level names out of the page's global scope
+        const widget = document.createElement('script');
+        widget.type = 'module';
+        widget.src = new URL('chat-widget.js', config.assetBase).href;
+        document.head.appendChild(widget);
+    }
+
+    if (document.body) mount();
+    else document.addEventListener('DOMContentLoaded', mount);
+})();